@@ -6,30 +6,70 @@
  *  - useConfigFile, configPath, lockToFile, watchFile (relative to userDir, .json only)
  *  - Admin endpoints:
  *      GET  /sqlite-link-insert/template                 -> default template
- *      GET  /sqlite-link-insert/config?file=path.json    -> load JSON under userDir
- *      POST /sqlite-link-insert/config {file,config}     -> save JSON under userDir
+ *      GET  /sqlite-link-insert/config?file=path.json[&profile=name] -> load JSON under userDir
+ *      POST /sqlite-link-insert/config {file,config[,profile]} -> validate, then save JSON under userDir
+ *      POST /sqlite-link-insert/validate {config}        -> migrate + validate a config (no save)
+ *      POST /sqlite-link-insert/order {groups}           -> execution order of groups from their lookups
+ *      GET  /sqlite-link-insert/config-schema            -> versioned JSON Schema of the config file
+ *      GET  /sqlite-link-insert/transforms               -> built-in and registered value transforms
+ *      GET  /sqlite-link-insert/schema?file=db.sqlite    -> tables/columns/keys (read-only)
+ *      POST /sqlite-link-insert/:id/dryrun {msg}         -> dry-run a sample message (rolled back)
  *  - Hot-reload when watchFile=true (affects next messages)
+ *  - Named profiles (one file with {profiles:{...}} or a directory of files),
+ *    chosen per message by msg.sqliteProfile or the node's typed profile
+ *  - sqlite-link-db config node: one long-lived connection per database file,
+ *    pragmas applied once, messages serialized through a per-database queue
  */
 
+// Transforms registered through module.exports.registerTransform (end of file)
+// before the runtime loaded the node; replayed on load
+const pendingTransforms = [];
+let registerLoaded = null;
+
 module.exports = function (RED) {
   const fs = require('fs');
   const fsp = fs.promises;
   const path = require('path');
+  const crypto = require('crypto');
   const sqlite3 = require('sqlite3');
 
   // -----------------------------
   // Small helpers for config-file
   // -----------------------------
-  const watchers = new Map(); // absPath -> {count, watcher}
+  const watchers = new Map(); // absPath -> {watcher, listeners:Set}
+
+  // Calls fn on every change of the file; returns the function that stops it.
+  // Throws if the file does not exist (yet).
+  function watchJson(abs, fn) {
+    let info = watchers.get(abs);
+    if (!info) {
+      const listeners = new Set();
+      const watcher = fs.watch(abs, { persistent:false }, (ev) => {
+        if (ev === 'change' || ev === 'rename') listeners.forEach(l => l());
+      });
+      info = { watcher, listeners };
+      watchers.set(abs, info);
+    }
+    info.listeners.add(fn);
+    return () => {
+      info.listeners.delete(fn);
+      if (!info.listeners.size) { info.watcher.close(); watchers.delete(abs); }
+    };
+  }
 
   function ensureJsonExt(p) {
     if (!p || typeof p !== 'string') throw new Error('Config path is empty');
     if (!p.toLowerCase().endsWith('.json')) throw new Error('Config path must end with .json');
   }
+  // `abs` is `dir` or inside it (a plain prefix test would let "/data-other" pass for "/data")
+  const insideDir = (dir, abs) => {
+    const rel = path.relative(dir, abs);
+    return rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel);
+  };
   function resolveUnderUserDir(rel) {
     const userDir = RED.settings.userDir || process.cwd();
     const abs = path.resolve(userDir, rel);
-    if (!abs.startsWith(path.resolve(userDir))) throw new Error('Config path must be under userDir');
+    if (!insideDir(path.resolve(userDir), abs)) throw new Error('Config path must be under userDir');
     return abs;
   }
   async function readJsonIfExists(abs) {
@@ -45,26 +85,283 @@ module.exports = function (RED) {
     txMode: 'perTable',
     chunkSize: 500,
     continueOnError: false,
+    savepoints: 'row',
+    multiRow: false,
     enableWAL: true,
     syncMode: 'NORMAL',
     extraPragmas: '',
+    busyTimeout: 5000,
+    busyRetries: 3,
+    retryDelay: 100,
     mirrorToPayload: false,
+    groupOrder: 'auto',
     groups: [
       {
         table: 'Example',
         sourceType: 'msg',
         source: 'payload.items',
+        file: { format:'csv', delimiter:',', header:true, pathType:'str', progress:false },
         autoMap: true,
         mapping: [],
+        ensureTable: false,
+        columnTypes: {},
         conflict: 'none',
         upsertKeys: [],
         updateColumns: [],
+        dedupe: 'none',
         keySpec: { enabled:false, mode:'byColumns', columns:[], separator:'|' },
+        sync: { enabled:false, mode:'delete', scope:[], maxRatio:0.5 },
+        audit: { enabled:false, table:'audit_log', createTable:true, skipUnchanged:true },
         returnRows: { mode:'none', idColumn:'id', pathType:'msg', path:'sqlite.Example.rows' }
       }
     ]
   };
 
+  // -----------------------------
+  // Config file schema, validation and migration
+  // -----------------------------
+  // Files without `version` are treated as version 1 and migrated on load/save.
+  const CONFIG_VERSION = 2;
+  DEFAULT_TEMPLATE.version = CONFIG_VERSION;
+  const PROFILE_NAME = /^[A-Za-z0-9_][\w.-]*$/;
+
+  // A JSON Schema subset: type, enum, properties, required, additionalProperties,
+  // items, minimum and minLength. Unknown properties only produce warnings.
+  const TYPED = ['msg','flow','global','jsonata','str','num','bool','json','env','path'];
+  const STR_LIST = { type:'array', items:{ type:'string', minLength:1 } };
+  const TYPED_MAPPING = {
+    type:'array',
+    items:{ type:'object', required:['col'], additionalProperties:false, properties:{
+      col:{ type:'string', minLength:1 }, srcType:{ enum:TYPED }, src:{}
+    } }
+  };
+  const LOOKUP_SCHEMA = {
+    type:'object', additionalProperties:false, properties:{
+      from:{ enum:['group','db'] }, fromGroup:{ type:'string' }, table:{ type:'string' },
+      columns:STR_LIST, idColumn:{ type:'string' }, separator:{ type:'string' },
+      valueType:{ enum:TYPED }, value:{}, strict:{ type:'boolean' },
+      cache:{ type:'boolean' }, cacheSize:{ type:'integer', minimum:1 },
+      create:{ type:'object', additionalProperties:false, properties:{ enabled:{ type:'boolean' }, mapping:TYPED_MAPPING } }
+    }
+  };
+  const MAPPING_SCHEMA = {
+    type:'object', required:['col'], additionalProperties:false, properties:{
+      col:{ type:'string', minLength:1 },
+      source:{ type:'string' },
+      srcType:{ enum:TYPED }, src:{},
+      transform:{ type:'string' }, transformArg:{ type:['string','number'] },
+      validate:{ type:'object', additionalProperties:false, properties:{
+        required:{ type:'boolean' }, type:{ enum:['','string','number','integer','boolean','date'] },
+        min:{ type:['number','string','null'] }, max:{ type:['number','string','null'] },
+        maxLength:{ type:['number','string','null'] }, regex:{ type:'string' },
+        enum:{ type:'array' }, jsonata:{ type:'string' }
+      } },
+      lookup:LOOKUP_SCHEMA,
+      fromGroup:{ type:'string' }, strict:{ type:'boolean' }
+    }
+  };
+  const GROUP_SCHEMA = {
+    type:'object', required:['table'], additionalProperties:false, properties:{
+      table:{ type:'string', minLength:1 }, alias:{ type:'string' },
+      sourceType:{ enum:[...TYPED,'file'] }, source:{},
+      file:{ type:'object', additionalProperties:false, properties:{
+        format:{ enum:['csv','ndjson'] }, delimiter:{ type:'string' }, quote:{ type:'string', maxLength:1 },
+        header:{ type:'boolean' }, columns:STR_LIST, encoding:{ type:'string' },
+        pathType:{ enum:['str','msg','flow','global','env'] }, progress:{ type:'boolean' }
+      } },
+      autoMap:{ type:'boolean' },
+      mapping:{ type:'array', items:MAPPING_SCHEMA },
+      ensureTable:{ type:'boolean' },
+      columnTypes:{ type:'object' },
+      onInvalid:{ enum:['reject','null','fail'] },
+      conflict:{ enum:['none','ignore','replace','upsert','update'] },
+      upsertKeys:STR_LIST, updateColumns:STR_LIST,
+      upsertWhere:{ type:'string' },
+      updateExpressions:{ type:'object' },
+      skipNoopUpdates:{ type:'boolean' },
+      dedupe:{ enum:['none','first','last','merge'] },
+      keySpec:{ type:'object', additionalProperties:false, properties:{
+        enabled:{ type:'boolean' }, alias:{ type:'string' },
+        mode:{ enum:['byColumns','byTemplate','byJsonata'] },
+        columns:STR_LIST, template:{ type:'string' }, jsonata:{ type:'string' },
+        separator:{ type:'string' }, selectMissing:{ type:'boolean' },
+        returnPath:{ type:['string','null'] }, returnPathType:{ type:'string' }, idColumn:{ type:'string' }
+      } },
+      sync:{ type:'object', additionalProperties:false, properties:{
+        enabled:{ type:'boolean' }, mode:{ enum:['delete','soft'] }, scope:STR_LIST,
+        maxRatio:{ type:'number', minimum:0 }, column:{ type:'string' }, value:{}, liveValue:{}
+      } },
+      audit:{ type:'object', additionalProperties:false, properties:{
+        enabled:{ type:'boolean' }, table:{ type:'string', minLength:1 },
+        createTable:{ type:'boolean' }, skipUnchanged:{ type:'boolean' }
+      } },
+      returnRows:{ type:'object', additionalProperties:false, properties:{
+        mode:{ enum:['none','affected'] }, idColumn:{ type:'string' },
+        pathType:{ enum:['msg','flow','global'] }, path:{ type:'string' }
+      } }
+    }
+  };
+  const CONFIG_SCHEMA = {
+    type:'object', required:['groups'], additionalProperties:false, properties:{
+      version:{ type:'integer', minimum:1 },
+      txMode:{ enum:['perTable','all','chunk','off'] },
+      chunkSize:{ type:'integer', minimum:1 },
+      continueOnError:{ type:'boolean' },
+      savepoints:{ enum:['row','chunk','off'] },
+      multiRow:{ type:'boolean' },
+      enableWAL:{ type:'boolean' },
+      syncMode:{ enum:['','OFF','NORMAL','FULL','EXTRA'] },
+      extraPragmas:{ type:'string' },
+      busyTimeout:{ type:'integer', minimum:0 },
+      busyRetries:{ type:'integer', minimum:0 },
+      retryDelay:{ type:'integer', minimum:0 },
+      mirrorToPayload:{ type:'boolean' },
+      groupOrder:{ enum:['auto','array'] },
+      groups:{ type:'array', items:GROUP_SCHEMA }
+    }
+  };
+
+  // A file with several named configs; each profile is a CONFIG_SCHEMA object
+  const PROFILES_SCHEMA = {
+    type:'object', required:['profiles'], additionalProperties:false, properties:{
+      version:{ type:'integer', minimum:1 },
+      defaultProfile:{ type:'string' },
+      profiles:{ type:'object' }
+    }
+  };
+
+  function typeMatches(t, v) {
+    switch (t) {
+      case 'object':  return v !== null && typeof v === 'object' && !Array.isArray(v);
+      case 'array':   return Array.isArray(v);
+      case 'integer': return Number.isInteger(v);
+      case 'number':  return typeof v === 'number' && Number.isFinite(v);
+      case 'null':    return v === null;
+      default:        return typeof v === t;
+    }
+  }
+
+  // Pushes {path, message} problems into out.errors / out.warnings
+  function checkSchema(schema, v, at, out) {
+    if (v === undefined) return;
+    if (schema.enum && !schema.enum.includes(v)) {
+      out.errors.push({ path: at, message: `must be one of ${schema.enum.map(x => JSON.stringify(x)).join(', ')}` });
+      return;
+    }
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(t => typeMatches(t, v))) {
+        out.errors.push({ path: at, message: `must be ${types.join(' or ')}` });
+        return;
+      }
+    }
+    if (schema.minimum != null && typeof v === 'number' && v < schema.minimum) out.errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.minLength != null && typeof v === 'string' && v.length < schema.minLength) out.errors.push({ path: at, message: 'must not be empty' });
+    if (schema.maxLength != null && typeof v === 'string' && v.length > schema.maxLength) out.errors.push({ path: at, message: `must be at most ${schema.maxLength} character(s)` });
+    if (Array.isArray(v) && schema.items) v.forEach((x, i) => checkSchema(schema.items, x, `${at}[${i}]`, out));
+    if (schema.properties && v && typeof v === 'object' && !Array.isArray(v)) {
+      for (const k of (schema.required || [])) {
+        if (v[k] === undefined) out.errors.push({ path: at ? `${at}.${k}` : k, message: 'is required' });
+      }
+      for (const k of Object.keys(v)) {
+        const p = at ? `${at}.${k}` : k;
+        if (schema.properties[k]) checkSchema(schema.properties[k], v[k], p, out);
+        else if (schema.additionalProperties === false) out.warnings.push({ path: p, message: 'unknown property' });
+      }
+    }
+  }
+
+  // Returns { ok, errors:[{path,message}], warnings:[{path,message}] }
+  function validateConfig(cfg) {
+    const out = { errors: [], warnings: [] };
+    if (!isObj(cfg)) return { ok:false, errors:[{ path:'', message:'config must be a JSON object' }], warnings:[] };
+    if (cfg.profiles !== undefined) {
+      checkSchema(PROFILES_SCHEMA, cfg, '', out);
+      const names = isObj(cfg.profiles) ? Object.keys(cfg.profiles) : [];
+      if (isObj(cfg.profiles) && !names.length) out.errors.push({ path:'profiles', message:'must hold at least one profile' });
+      if (cfg.defaultProfile && isObj(cfg.profiles) && !names.includes(cfg.defaultProfile)) {
+        out.errors.push({ path:'defaultProfile', message:`unknown profile "${cfg.defaultProfile}"` });
+      }
+      for (const name of names) {
+        const at = `profiles.${name}`;
+        if (!PROFILE_NAME.test(name)) out.errors.push({ path: at, message:'profile names may only use letters, digits, _ . -' });
+        const v = validateConfig(cfg.profiles[name]);
+        v.errors.forEach(e => out.errors.push({ path: e.path ? `${at}.${e.path}` : at, message: e.message }));
+        v.warnings.forEach(e => out.warnings.push({ path: e.path ? `${at}.${e.path}` : at, message: e.message }));
+      }
+      return { ok: !out.errors.length, errors: out.errors, warnings: out.warnings };
+    }
+    checkSchema(CONFIG_SCHEMA, cfg, '', out);
+    if (Number.isInteger(cfg.version) && cfg.version > CONFIG_VERSION) {
+      out.errors.push({ path:'version', message:`version ${cfg.version} is newer than supported (${CONFIG_VERSION})` });
+    }
+    const groups = isArr(cfg.groups) ? cfg.groups : [];
+    groups.forEach((g, i) => {
+      if (!isObj(g)) return;
+      const at = `groups[${i}]`;
+      if ((g.conflict === 'upsert' || g.conflict === 'update') && !(isArr(g.upsertKeys) && g.upsertKeys.length)) {
+        out.errors.push({ path:`${at}.upsertKeys`, message:`conflict "${g.conflict}" needs at least one key` });
+      }
+      const csvError = isObj(g.file) && g.file.format !== 'ndjson' ? csvOptionError(g.file) : null;
+      const csvAt = csvError && `${at}.file.${csvError.option}`;
+      if (csvError && !out.errors.some(e => e.path === csvAt)) out.errors.push({ path: csvAt, message: csvError.message });
+      if (cfg.txMode === 'off' && isObj(g.audit) && g.audit.enabled) {
+        out.errors.push({ path:`${at}.audit`, message:'needs a transaction: txMode "off" is not supported' });
+      }
+      (isArr(g.mapping) ? g.mapping : []).forEach((m, j) => {
+        // custom transforms may be registered after the config is loaded
+        if (isObj(m) && m.transform && !transforms[m.transform]) {
+          out.warnings.push({ path:`${at}.mapping[${j}].transform`, message:`unknown transform "${m.transform}"` });
+        }
+      });
+    });
+    ruleRegexErrors(groups).forEach(e => out.errors.push(e));
+    if (!out.errors.length && (cfg.groupOrder || 'auto') === 'auto') {
+      resolveGroupOrder(groups).errors.forEach(message => out.warnings.push({ path:'groups', message }));
+    }
+    return { ok: !out.errors.length, errors: out.errors, warnings: out.warnings };
+  }
+
+  const LEGACY_CONFLICT = { 'or ignore':'ignore', 'or replace':'replace', 'on conflict':'upsert' };
+  const splitList = v => (typeof v === 'string' ? v.split(',').map(s => s.trim()).filter(Boolean) : v);
+
+  // Upgrades an older config to CONFIG_VERSION. Returns { config, from } where
+  // `from` is the version it started at (equal to CONFIG_VERSION if untouched).
+  function migrateConfig(cfg) {
+    if (!isObj(cfg)) return { config: cfg, from: CONFIG_VERSION };
+    const from = cfg.version === undefined ? 1 : cfg.version;
+    if (isObj(cfg.profiles)) {
+      // profiles without their own version share the file's
+      const profiles = Object.fromEntries(Object.entries(cfg.profiles).map(([name, p]) =>
+        [name, isObj(p) ? migrateConfig(p.version === undefined ? { ...p, version: from } : p).config : p]));
+      return { config: { ...cfg, version: Number.isInteger(from) && from > CONFIG_VERSION ? from : CONFIG_VERSION, profiles }, from };
+    }
+    if (!Number.isInteger(from) || from >= CONFIG_VERSION) return { config: cfg, from };
+    const out = JSON.parse(JSON.stringify(cfg));
+    // v1 -> v2: comma-separated column lists, free-form conflict/txMode labels,
+    // mapping entries keyed `column` instead of `col`
+    if (typeof out.txMode === 'string') {
+      out.txMode = { pertable:'perTable', all:'all', chunk:'chunk', off:'off' }[out.txMode.toLowerCase()] || out.txMode;
+    }
+    for (const g of (isArr(out.groups) ? out.groups : [])) {
+      if (!isObj(g)) continue;
+      if (typeof g.conflict === 'string') {
+        const c = g.conflict.trim().toLowerCase();
+        g.conflict = LEGACY_CONFLICT[c] || c;
+      }
+      g.upsertKeys = splitList(g.upsertKeys);
+      g.updateColumns = splitList(g.updateColumns);
+      if (isObj(g.keySpec)) g.keySpec.columns = splitList(g.keySpec.columns);
+      if (isObj(g.sync)) g.sync.scope = splitList(g.sync.scope);
+      for (const m of (isArr(g.mapping) ? g.mapping : [])) {
+        if (isObj(m) && m.col === undefined && m.column !== undefined) { m.col = m.column; delete m.column; }
+      }
+      Object.keys(g).forEach(k => { if (g[k] === undefined) delete g[k]; });
+    }
+    out.version = CONFIG_VERSION;
+    return { config: out, from };
+  }
+
   // Admin endpoints
   RED.httpAdmin.get('/sqlite-link-insert/template', RED.auth.needsPermission('flows.read'), async (_req, res) => {
     res.json({ ok:true, template: DEFAULT_TEMPLATE });
@@ -75,26 +372,95 @@ module.exports = function (RED) {
       ensureJsonExt(rel);
       const abs = resolveUnderUserDir(rel);
       const cfg = await readJsonIfExists(abs);
-      res.json({ ok:true, config: cfg || DEFAULT_TEMPLATE });
+      if (!cfg) return res.json({ ok:true, config: DEFAULT_TEMPLATE });
+      let { config, from } = migrateConfig(cfg);
+      // a profiles file returns one profile (?profile=, else its default, as at runtime)
+      let profile;
+      const profiles = isObj(config.profiles) ? Object.keys(config.profiles) : undefined;
+      if (profiles) {
+        profile = String(req.query.profile || '').trim() || config.defaultProfile;
+        if (!profile) throw new Error(`The file has no defaultProfile; set Profile to one of: ${profiles.join(', ')}`);
+        if (!profiles.includes(profile)) throw new Error(`unknown config profile "${profile}"`);
+        config = config.profiles[profile];
+      }
+      const v = validateConfig(config);
+      res.json({ ok:true, config, profile, profiles, migratedFrom: from !== CONFIG_VERSION ? from : undefined, errors: v.errors, warnings: v.warnings });
     } catch (e) {
       res.status(400).json({ ok:false, error: e.message });
     }
   });
   RED.httpAdmin.post('/sqlite-link-insert/config', RED.auth.needsPermission('flows.write'), async (req, res) => {
     try {
-      const { file, config } = req.body || {};
+      const { file } = req.body || {};
       const rel = String(file || '').trim();
       ensureJsonExt(rel);
       const abs = resolveUnderUserDir(rel);
-      await writeJson(abs, config || {});
-      res.json({ ok:true });
+      let { config } = migrateConfig(req.body.config || {});
+      // with a profile name the config replaces that profile of a profiles file
+      const profile = String(req.body.profile || '').trim();
+      if (profile) {
+        const existing = migrateConfig(await readJsonIfExists(abs) || { profiles:{} }).config;
+        if (!isObj(existing.profiles)) throw new Error('File holds a single config; save it without a profile name');
+        config = { ...existing, profiles: { ...existing.profiles, [profile]: config } };
+      }
+      const v = validateConfig(config);
+      if (!v.ok) return res.status(400).json({ ok:false, error: 'Config is invalid', errors: v.errors, warnings: v.warnings });
+      await writeJson(abs, config);
+      res.json({ ok:true, warnings: v.warnings });
+    } catch (e) {
+      res.status(400).json({ ok:false, error: e.message });
+    }
+  });
+  RED.httpAdmin.post('/sqlite-link-insert/validate', RED.auth.needsPermission('flows.read'), async (req, res) => {
+    const { config, from } = migrateConfig((req.body || {}).config);
+    const v = validateConfig(config);
+    res.json({ ok:true, valid: v.ok, errors: v.errors, warnings: v.warnings, config, migratedFrom: from !== CONFIG_VERSION ? from : undefined });
+  });
+  RED.httpAdmin.post('/sqlite-link-insert/order', RED.auth.needsPermission('flows.read'), async (req, res) => {
+    try {
+      const groups = (req.body || {}).groups;
+      if (!Array.isArray(groups)) throw new Error('groups must be an array');
+      res.json({ ok:true, ...resolveGroupOrder(groups) });
+    } catch (e) {
+      res.status(400).json({ ok:false, error: e.message });
+    }
+  });
+  RED.httpAdmin.get('/sqlite-link-insert/transforms', RED.auth.needsPermission('flows.read'), async (_req, res) => {
+    res.json({ ok:true, transforms: Object.keys(transforms).map(name => ({
+      name, builtin: BUILTIN_TRANSFORMS.has(name), type: TRANSFORM_TYPES[name] || null, arg: TRANSFORM_ARGS[name] || null
+    })) });
+  });
+  RED.httpAdmin.get('/sqlite-link-insert/config-schema', RED.auth.needsPermission('flows.read'), async (_req, res) => {
+    res.json({ ok:true, version: CONFIG_VERSION, schema: CONFIG_SCHEMA, profilesSchema: PROFILES_SCHEMA });
+  });
+
+  RED.httpAdmin.get('/sqlite-link-insert/schema', RED.auth.needsPermission('flows.read'), async (req, res) => {
+    try {
+      const file = String(req.query.file || '').trim();
+      if (!file) throw new Error('Database path is empty');
+      // only databases under userDir or used by a deployed node can be read
+      const abs = connectionKey(file);
+      const userDir = path.resolve(RED.settings.userDir || process.cwd());
+      if (abs !== ':memory:' && !insideDir(userDir, abs) && !knownDbFiles.has(abs)) throw new Error('Database path must be under userDir or used by a deployed node');
+      res.json({ ok:true, tables: await readSchema(abs) });
+    } catch (e) {
+      res.status(400).json({ ok:false, error: e.message });
+    }
+  });
+
+  RED.httpAdmin.post('/sqlite-link-insert/:id/dryrun', RED.auth.needsPermission('flows.write'), async (req, res) => {
+    try {
+      const node = RED.nodes.getNode(req.params.id);
+      if (!node || typeof node.dryRun !== 'function') throw new Error('Node not deployed');
+      const msg = isObj(req.body && req.body.msg) ? req.body.msg : {};
+      res.json({ ok:true, result: await node.dryRun(msg) });
     } catch (e) {
       res.status(400).json({ ok:false, error: e.message });
     }
   });
 
   // -----------------------------
-  // ORIGINAL UTILITIES (UNCHANGED)
+  // Utilities: transforms, validation rules, row mapping, SQL building
   // -----------------------------
   const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
   const isArr = v => Array.isArray(v);
@@ -111,10 +477,129 @@ module.exports = function (RED) {
     bool01: (v) => (v === true || v === 1 || v === '1' || /^true$/i.test(String(v)) ? 1 : 0),
     number: (v) => { if (v == null || String(v).trim() === '') return null; const n = Number(v); return Number.isFinite(n) ? n : null; },
     string: (v) => (v == null ? '' : String(v)),
+    // `arg` is the mapping row's transformArg
+    isoDate: (v, arg) => { const d = toDate(v, arg); return d ? d.toISOString() : null; },
+    epochS: (v, arg) => { const d = toDate(v, arg); return d ? Math.floor(d.getTime() / 1000) : null; },
+    epochMs: (v, arg) => { const d = toDate(v, arg); return d ? d.getTime() : null; },
+    dateFormat: (v, arg) => {
+      const [inFmt, outFmt] = String(arg || '').includes('>') ? String(arg).split('>').map(s => s.trim()) : ['', arg];
+      const d = toDate(v, inFmt);
+      return d ? formatDate(d, outFmt || 'YYYY-MM-DD HH:mm:ss') : null;
+    },
+    json: (v) => (v != null && typeof v === 'object' && !Buffer.isBuffer(v) ? JSON.stringify(v) : v),
+    blob: (v) => toBuffer(v),
+    round: (v, arg) => {
+      if (v == null || String(v).trim() === '') return null;
+      const n = Number(v);
+      if (!Number.isFinite(n)) return null;
+      const d = Math.max(0, Math.min(15, Number(arg) || 0));
+      // shift the decimal point in the exponent, so 1.005 rounds up and 1.5e-7 works
+      const shift = (x, by) => { const [m, e] = x.toExponential().split('e'); return Number(`${m}e${Number(e) + by}`); };
+      return shift(Math.round(shift(n, d)), -d);
+    },
+    sha256: (v, arg) => {
+      if (v == null) return null;
+      const data = Buffer.isBuffer(v) ? v : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+      return crypto.createHash('sha256').update(data).digest(arg === 'base64' ? 'base64' : 'hex');
+    },
+  };
+  const BUILTIN_TRANSFORMS = new Set(Object.keys(transforms));
+
+  // Column types implied by mapping transforms (used when creating tables)
+  const TRANSFORM_TYPES = {
+    number: 'NUMERIC', bool01: 'INTEGER', trim: 'TEXT', upper: 'TEXT', lower: 'TEXT', string: 'TEXT',
+    isoDate: 'TEXT', epochS: 'INTEGER', epochMs: 'INTEGER', dateFormat: 'TEXT', json: 'TEXT', blob: 'BLOB', round: 'NUMERIC', sha256: 'TEXT'
   };
+  // Editor hint for transforms that take an argument
+  const TRANSFORM_ARGS = {
+    isoDate: 'input format (optional)', epochS: 'input format (optional)', epochMs: 'input format (optional)',
+    dateFormat: 'format, or input>format', round: 'decimals', sha256: 'hex | base64'
+  };
+
+  // Date patterns: YYYY MM DD HH mm ss SSS, always UTC
+  const DATE_TOKENS = /YYYY|SSS|MM|DD|HH|mm|ss/g;
+  function parseDate(s, fmt) {
+    const order = [];
+    const re = new RegExp('^' + fmt.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(DATE_TOKENS, t => {
+      order.push(t);
+      return t === 'YYYY' ? '(\\d{4})' : t === 'SSS' ? '(\\d{3})' : '(\\d{1,2})';
+    }) + '$');
+    const m = re.exec(s.trim());
+    if (!m) return null;
+    const p = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+    order.forEach((t, i) => { p[t] = Number(m[i + 1]); });
+    const d = new Date(Date.UTC(p.YYYY, p.MM - 1, p.DD, p.HH, p.mm, p.ss, p.SSS));
+    return d.getUTCDate() === p.DD && d.getUTCMonth() === p.MM - 1 ? d : null;
+  }
+  // Date from a Date, epoch seconds or ms (numbers or digit strings), a string
+  // Date can parse, or a string in the given pattern; null when not a date
+  function toDate(v, fmt) {
+    if (v == null || v === '') return null;
+    if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v;
+    if (fmt && typeof v === 'string') return parseDate(v, fmt);
+    if (typeof v === 'number' || /^-?\d+(\.\d+)?$/.test(String(v).trim())) {
+      const n = Number(v);
+      return Number.isFinite(n) ? new Date(Math.abs(n) < 1e11 ? n * 1000 : n) : null;
+    }
+    const d = new Date(String(v));
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  function formatDate(d, fmt) {
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    const parts = { YYYY: pad(d.getUTCFullYear(), 4), MM: pad(d.getUTCMonth() + 1), DD: pad(d.getUTCDate()),
+      HH: pad(d.getUTCHours()), mm: pad(d.getUTCMinutes()), ss: pad(d.getUTCSeconds()), SSS: pad(d.getUTCMilliseconds(), 3) };
+    return String(fmt).replace(DATE_TOKENS, t => parts[t]);
+  }
+
+  // Buffer from a Buffer, typed array, serialized Buffer ({type:'Buffer',data})
+  // or a base64 string (a data: URL prefix is dropped)
+  function toBuffer(v) {
+    if (v == null) return null;
+    if (Buffer.isBuffer(v)) return v;
+    if (ArrayBuffer.isView(v)) return Buffer.from(v.buffer, v.byteOffset, v.byteLength);
+    if (isObj(v) && v.type === 'Buffer' && isArr(v.data)) return Buffer.from(v.data);
+    if (isArr(v)) return Buffer.from(v);
+    return Buffer.from(String(v).replace(/^data:[^,]*;base64,/, ''), 'base64');
+  }
+
+  // Objects and arrays cannot be bound by sqlite3: they are stored as JSON
+  const bindable = v => (v != null && typeof v === 'object' && !Buffer.isBuffer(v) && !(v instanceof Date) ? JSON.stringify(v) : v);
+
+  // Named transforms added by settings.js (sqliteLinkInsert.transforms) or at
+  // runtime with require(<this module>).registerTransform(name, fn, opts).
+  // fn(value, arg) returns the new value; opts.type is the column type used by
+  // Ensure table, opts.arg the editor hint for the argument.
+  function registerTransform(name, fn, opts = {}) {
+    if (!/^[A-Za-z_][\w-]*$/.test(String(name))) throw new Error(`Invalid transform name: ${name}`);
+    if (typeof fn !== 'function') throw new Error(`Transform "${name}" must be a function`);
+    if (BUILTIN_TRANSFORMS.has(name)) throw new Error(`Transform "${name}" is built in`);
+    transforms[name] = fn;
+    if (opts.type) TRANSFORM_TYPES[name] = String(opts.type); else delete TRANSFORM_TYPES[name];
+    if (opts.arg) TRANSFORM_ARGS[name] = String(opts.arg); else delete TRANSFORM_ARGS[name];
+  }
+  const settingsTransforms = (RED.settings.sqliteLinkInsert || {}).transforms;
+  for (const [name, t] of Object.entries(isObj(settingsTransforms) ? settingsTransforms : {})) {
+    try {
+      if (typeof t === 'function') registerTransform(name, t);
+      else registerTransform(name, t && t.fn, t || {});
+    } catch (e) { RED.log.warn(`sqlite-link-insert: ${e.message}`); }
+  }
+  registerLoaded = registerTransform;
+  for (const [name, fn, opts] of pendingTransforms.splice(0)) {
+    try { registerTransform(name, fn, opts); } catch (e) { RED.log.warn(`sqlite-link-insert: ${e.message}`); }
+  }
 
-  async function typedGet(RED, node, msg, type, value, rowCtx) {
+  // `parent` is the parent row of a nested source, bound as $parent
+  async function typedGet(RED, node, msg, type, value, rowCtx, parent) {
     switch (type) {
+      case 'path': {
+        const p = String(value ?? '');
+        if (p === '$parent') return parent;
+        if (p.startsWith('$parent.')) return isObj(parent) ? RED.util.getMessageProperty(parent, p.slice(8)) : undefined;
+        if (rowCtx === undefined || rowCtx === null) return p ? RED.util.getMessageProperty(msg, p) : undefined;
+        if (!p) return rowCtx;
+        return isObj(rowCtx) ? RED.util.getMessageProperty(rowCtx, p) : undefined;
+      }
       case 'num':   return Number(value);
       case 'bool':  return !!value;
       case 'json':  try { return JSON.parse(value); } catch { return undefined; }
@@ -125,6 +610,7 @@ module.exports = function (RED) {
       case 'jsonata': {
         try {
           const expr = RED.util.prepareJSONataExpression(String(value), node);
+          if (parent !== undefined) expr.assign('parent', parent);
           const dataRoot = (rowCtx !== undefined) ? { ...rowCtx, msg } : msg;
           return await new Promise((resolve, reject) => {
             RED.util.evaluateJSONataExpression(expr, dataRoot, (err, res) => {
@@ -141,16 +627,102 @@ module.exports = function (RED) {
     }
   }
 
-  function applyTransform(v, name) {
-    const fn = transforms[name || 'none'] || transforms.none;
-    try { return fn(v); } catch { return v; }
+  // An unknown name (e.g. a transform not registered yet) passes the value through
+  // node.warn once per node and key: a problem found on every row would flood the log
+  const warnedKeys = new WeakMap(); // node -> Set of keys
+  function warnOnce(node, key, text) {
+    if (!warnedKeys.has(node)) warnedKeys.set(node, new Set());
+    const seen = warnedKeys.get(node);
+    if (seen.has(key)) return;
+    seen.add(key);
+    node.warn(text);
+  }
+
+  function applyTransform(v, name, arg, warn) {
+    let fn = transforms[name || 'none'];
+    if (!fn) {
+      if (warn) warn(`unknown transform "${name}", value written unchanged`);
+      fn = transforms.none;
+    }
+    try { return fn(v, arg); } catch { return v; }
+  }
+
+  const RULE_TYPES = {
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+    integer: (v) => Number.isInteger(v),
+    boolean: (v) => typeof v === 'boolean' || v === 0 || v === 1,
+    date: (v) => (v instanceof Date || typeof v === 'string' || typeof v === 'number') && !Number.isNaN(new Date(v).getTime()),
+  };
+
+  // `regex` rules compiled once per rules object (a group's mapping between runs);
+  // { pattern, re } or { pattern, error } for an invalid pattern
+  const ruleRegexes = new WeakMap();
+  function compileRuleRegex(rules) {
+    let c = ruleRegexes.get(rules);
+    if (!c || c.pattern !== rules.regex) {
+      c = { pattern: rules.regex };
+      try { c.re = new RegExp(rules.regex); } catch (e) { c.error = e.message; }
+      ruleRegexes.set(rules, c);
+    }
+    return c;
+  }
+  // Invalid `regex` rules of `groups` as [{ path, message }]
+  function ruleRegexErrors(groups) {
+    const out = [];
+    (isArr(groups) ? groups : []).forEach((g, i) => {
+      if (!isObj(g)) return;
+      (isArr(g.mapping) ? g.mapping : []).forEach((m, j) => {
+        if (!isObj(m) || !isObj(m.validate) || !m.validate.regex) return;
+        const { error } = compileRuleRegex(m.validate);
+        if (error) out.push({ path:`groups[${i}].mapping[${j}].validate.regex`, message: error });
+      });
+    });
+    return out;
+  }
+
+  // Returns the name of the first rule `v` breaks, or null
+  async function firstViolation(RED, node, msg, rules, v, srcRow, parent) {
+    if (rules.required && (v == null || v === '')) return 'required';
+    if (v == null) return null;
+    if (rules.type && RULE_TYPES[rules.type] && !RULE_TYPES[rules.type](v)) return 'type';
+    if (rules.min != null && rules.min !== '' && !(Number(v) >= Number(rules.min))) return 'min';
+    if (rules.max != null && rules.max !== '' && !(Number(v) <= Number(rules.max))) return 'max';
+    if (rules.maxLength != null && rules.maxLength !== '' && String(v).length > Number(rules.maxLength)) return 'maxLength';
+    if (rules.regex) {
+      const { re, error } = compileRuleRegex(rules);
+      if (error) {
+        // a config error: fails the message instead of every row
+        const e = new Error(`validation rule regex: ${error}`);
+        e.failMessage = true;
+        throw e;
+      }
+      if (!re.test(String(v))) return 'regex';
+    }
+    if (Array.isArray(rules.enum) && rules.enum.length && !rules.enum.map(String).includes(String(v))) return 'enum';
+    if (rules.jsonata) {
+      try {
+        const expr = RED.util.prepareJSONataExpression(String(rules.jsonata), node);
+        expr.assign('value', v);
+        if (parent !== undefined) expr.assign('parent', parent);
+        const ok = await new Promise((resolve, reject) => {
+          RED.util.evaluateJSONataExpression(expr, { ...(isObj(srcRow) ? srcRow : {}), msg }, (err, res) => err ? reject(err) : resolve(res));
+        });
+        if (!ok) return 'jsonata';
+      } catch (e) {
+        node.warn(`validation jsonata error: ${e.message}`);
+        return 'jsonata';
+      }
+    }
+    return null;
   }
 
-  async function mapRow(RED, node, msg, group, srcRow) {
+  // `violations` (optional) collects {column, rule, value} for the group's onInvalid policy
+  async function mapRow(RED, node, msg, group, srcRow, violations) {
     if (group.autoMap) {
       if (!isObj(srcRow)) return {};
       const out = {};
-      Object.keys(srcRow).forEach(k => { out[k] = srcRow[k]; });
+      Object.keys(srcRow).forEach(k => { out[k] = bindable(srcRow[k]); });
       return out;
     }
     const out = {};
@@ -159,18 +731,47 @@ module.exports = function (RED) {
       if (!col) continue;
 
       if (m.source === 'lookup') {
-        const fromGroup = (m.lookup && m.lookup.fromGroup) || '';
-        const strict = !!(m.lookup && m.lookup.strict);
-        const val = await typedGet(RED, node, msg, m.lookup?.valueType || 'str', m.lookup?.value, srcRow);
-        const id = resolveLookupId(node, fromGroup, group._ctxMaps, group._keySpecs, val, srcRow);
+        const lk = m.lookup || {};
+        const fromDb = lk.from === 'db';
+        const fromGroup = (fromDb ? lk.table : lk.fromGroup) || '';
+        const strict = !!lk.strict;
+        // database lookup values were already evaluated by prefetchDbLookups
+        const val = group._lookupVals && group._lookupVals.has(m)
+          ? group._lookupVals.get(m)
+          : await typedGet(RED, node, msg, lk.valueType || 'str', lk.value, srcRow, group._parent);
+        let id = fromDb
+          ? resolveDbLookupId(group._dbLookups, lk, val)
+          : resolveLookupId(node, fromGroup, group._ctxMaps, group._keySpecs, val, srcRow);
+        if (id == null && val != null && val !== '' && lk.create?.enabled && group._createParent) {
+          id = await group._createParent(lk, val, srcRow, group._parent);
+        }
+        if (id == null && group._misses) group._misses.push({ column: col, fromGroup, key: val });
         if (id == null && strict) {
           const keyShow = typeof val === 'object' ? JSON.stringify(val) : String(val);
-          throw new Error(`lookup failed for group "${fromGroup}" key=${keyShow}`);
+          throw new Error(`lookup failed for ${fromDb ? 'table' : 'group'} "${fromGroup}" key=${keyShow}`);
         }
         out[col] = id ?? null;
+      } else if (m.source === 'parentId') {
+        // id the parent group wrote for this row's $parent (nested sources)
+        const id = group._parentId ? group._parentId(m) : null;
+        if (id == null && m.strict) throw new Error(`no parent id for column "${col}"`);
+        out[col] = id ?? null;
       } else {
-        const raw = await typedGet(RED, node, msg, m.srcType || 'str', m.src, srcRow);
-        out[col] = applyTransform(raw, m.transform || 'none');
+        const raw = await typedGet(RED, node, msg, m.srcType || 'str', m.src, srcRow, group._parent);
+        let v = applyTransform(raw, m.transform || 'none', m.transformArg, (t) => warnOnce(node, `transform:${m.transform}`, t));
+        const rule = isObj(m.validate) ? await firstViolation(RED, node, msg, m.validate, v, srcRow, group._parent) : null;
+        if (rule) {
+          const policy = group.onInvalid || 'reject';
+          if (policy === 'fail') {
+            const e = new Error(`validation failed: column "${col}" rule ${rule}`);
+            e.code = 'VALIDATION';
+            e.failMessage = true;
+            throw e;
+          }
+          if (violations) violations.push({ column: col, rule, value: v });
+          if (policy === 'null') v = null;
+        }
+        out[col] = bindable(v);
       }
     }
     return out;
@@ -180,10 +781,10 @@ module.exports = function (RED) {
     const S = sep || spec?.separator || '|';
     if (!spec || !spec.mode) return provided == null ? '' : String(provided);
     if (typeof provided === 'string' || typeof provided === 'number') return String(provided);
-    if (spec.mode === 'byColumns') {
-      if (Array.isArray(provided)) return provided.map(v => String(v ?? '')).join(S);
-      if (isObj(provided)) return (spec.columns || []).map(c => String(provided[c] ?? '')).join(S);
-      return String(provided ?? '');
+    if (Array.isArray(provided)) return provided.map(v => String(v ?? '')).join(S);
+    if (isObj(provided)) {
+      if (spec.mode === 'byColumns') return (spec.columns || []).map(c => String(provided[c] ?? '')).join(S);
+      if (spec.mode === 'byTemplate' && spec.template) return keyOfMappedRow(provided, spec);
     }
     return String(provided ?? '');
   }
@@ -199,212 +800,1476 @@ module.exports = function (RED) {
     return ctx.map.get(key) ?? null;
   }
 
-  function buildUpsert(table, keys, updateCols) {
+  // KeySpec-like description of a database lookup ({from:'db', table, columns, idColumn})
+  function dbLookupSpec(lk) {
+    const columns = Array.isArray(lk.columns) ? lk.columns : String(lk.columns || '').split(',').map(c => c.trim()).filter(Boolean);
+    return { mode: 'byColumns', columns, separator: lk.separator || '|', idColumn: lk.idColumn || 'id' };
+  }
+  function dbLookupSig(lk) {
+    const spec = dbLookupSpec(lk);
+    return [lk.table, spec.columns.join(','), spec.idColumn, spec.separator].join('\u0000');
+  }
+
+  // Key columns of a parent row for a lookup value (byColumns specs only)
+  function parentKeyRow(spec, provided) {
+    const cols = spec.columns || [];
+    let vals;
+    if (isArr(provided)) vals = provided;
+    else if (isObj(provided)) vals = cols.map(c => provided[c]);
+    else vals = cols.length > 1 ? String(provided).split(spec.separator || '|') : [provided];
+    const row = {};
+    cols.forEach((c, i) => { row[c] = vals[i] ?? null; });
+    return row;
+  }
+
+  // dbLookups: sig -> {table, map} filled per message by prefetchDbLookups
+  function resolveDbLookupId(dbLookups, lk, provided) {
+    const entry = dbLookups && dbLookups.get(dbLookupSig(lk));
+    if (!entry) return null;
+    const spec = dbLookupSpec(lk);
+    return entry.map.get(composeKeyWithSpec(spec, provided, spec.separator)) ?? null;
+  }
+
+  // Minimal LRU on top of Map insertion order
+  function lruGet(map, key) {
+    if (!map.has(key)) return undefined;
+    const v = map.get(key);
+    map.delete(key);
+    map.set(key, v);
+    return v;
+  }
+  function lruSet(map, key, value, max) {
+    map.delete(key);
+    map.set(key, value);
+    while (map.size > max) map.delete(map.keys().next().value);
+  }
+
+  // Update expression presets for DO UPDATE (t = stored row, excluded = incoming);
+  // any other string is used as a raw SQL expression
+  const UPDATE_PRESETS = {
+    keep: (t, x) => `coalesce(${x}, ${t})`,
+    existing: (t, x) => `coalesce(${t}, ${x})`,
+    max: (t, x) => `max(coalesce(${t}, ${x}), coalesce(${x}, ${t}))`,
+    min: (t, x) => `min(coalesce(${t}, ${x}), coalesce(${x}, ${t}))`,
+    add: (t, x) => `coalesce(${t}, 0) + coalesce(${x}, 0)`
+  };
+
+  function updateExpr(table, col, expr) {
+    const t = `${qid(table)}.${qid(col)}`;
+    const x = `excluded.${qid(col)}`;
+    if (!expr || expr === 'replace') return x;
+    return UPDATE_PRESETS[expr] ? UPDATE_PRESETS[expr](t, x) : `(${expr})`;
+  }
+
+  // Columns a DO UPDATE writes: updateColumns plus those with an update expression
+  function updateColumnsOf(group) {
+    return uniq((group.updateColumns || []).concat(Object.keys(isObj(group.updateExpressions) ? group.updateExpressions : {})));
+  }
+
+  function buildUpsert(table, keys, updateCols, exprs = {}, where = '', skipNoop = false) {
     const k = (keys || []).filter(Boolean);
     if (!k.length) return '';
     const qKeys = k.map(qid).join(', ');
     if (!updateCols || !updateCols.length) {
       return ` ON CONFLICT (${qKeys}) DO NOTHING`;
     }
-    const set = updateCols.map(c => `${qid(c)}=excluded.${qid(c)}`).join(', ');
-    return ` ON CONFLICT (${qKeys}) DO UPDATE SET ${set}`;
+    const value = c => updateExpr(table, c, exprs[c]);
+    const set = updateCols.map(c => `${qid(c)}=${value(c)}`).join(', ');
+    // Opt-in: skip no-op updates so changes() reports them as unchanged (their
+    // UPDATE triggers then do not fire either)
+    const guards = [where && `(${where})`, skipNoop && `(${updateCols.map(c => `${qid(table)}.${qid(c)} IS NOT ${value(c)}`).join(' OR ')})`].filter(Boolean);
+    return ` ON CONFLICT (${qKeys}) DO UPDATE SET ${set}${guards.length ? ` WHERE ${guards.join(' AND ')}` : ''}`;
   }
 
-  function buildInsertSQL(group, cols) {
+  // opts.rows > 1 builds a multi-row VALUES list (not for update-only groups)
+  function buildInsertSQL(group, cols, opts = {}) {
     const table = qid(group.table);
     const colList = cols.map(qid).join(', ');
     const params = cols.map(_ => '?').join(', ');
+    const keys = group.upsertKeys || [];
+    const upsert = () => buildUpsert(group.table, keys, updateColumnsOf(group), group.updateExpressions || {}, group.upsertWhere || '', !!group.skipNoopUpdates);
     let head = `INSERT `;
     if (group.conflict === 'ignore') head += `OR IGNORE `;
     if (group.conflict === 'replace') head += `OR REPLACE `;
-    head += `INTO ${table} (${colList}) VALUES (${params})`;
-    if (group.conflict === 'upsert') {
-      head += buildUpsert(group.table, group.upsertKeys || [], group.updateColumns || []);
+    if (group.conflict === 'update') {
+      // update-only: a row is only offered when its key exists, so it always ends in DO UPDATE
+      const missing = keys.filter(k => !cols.includes(k));
+      if (!keys.length || missing.length) throw new Error(`update-only group "${group.table}" needs its UPSERT keys mapped${missing.length ? ` (missing ${missing.join(', ')})` : ''}`);
+      const exists = keys.map(k => `${qid(k)} = ?${cols.indexOf(k) + 1}`).join(' AND ');
+      head += `INTO ${table} (${colList}) SELECT ${cols.map((_, i) => `?${i + 1}`).join(', ')} WHERE EXISTS (SELECT 1 FROM ${table} WHERE ${exists})`;
+      head += upsert();
+    } else {
+      head += `INTO ${table} (${colList}) VALUES ${new Array(opts.rows || 1).fill(`(${params})`).join(', ')}`;
+      if (group.conflict === 'upsert') head += upsert();
     }
+    if (opts.returning) head += ` RETURNING *`;
     return head;
   }
 
-  function normKeySpec(group) {
-    const ks = group.keySpec || {};
-    if (!ks.enabled) return null;
-    const spec = {
-      enabled: true,
-      alias: ks.alias || group.alias || group.table,
-      mode: ks.mode || 'byColumns',
-      columns: Array.isArray(ks.columns) ? ks.columns.slice() : [],
-      template: ks.template || '',
-      jsonata: ks.jsonata || '',
-      separator: ks.separator || '|',
-      selectMissing: !!ks.selectMissing,
-      returnPath: ks.returnPath || null,
-      idColumn: ks.idColumn || 'id'
+  // Re-checks the DO UPDATE guard for a row that was not updated, telling rows held
+  // back by the guard from no-op updates. excluded.<col> references become
+  // parameters; bare column names refer to the stored row, as in DO UPDATE.
+  function buildGuardCheck(group) {
+    const refs = [];
+    const expr = String(group.upsertWhere).replace(/\bexcluded\.(?:"((?:[^"]|"")+)"|([A-Za-z_][A-Za-z0-9_]*))/gi, (_, q, b) => {
+      refs.push(q != null ? q.replace(/""/g, '"') : b);
+      return '?';
+    });
+    const keys = group.upsertKeys;
+    return {
+      sql: `SELECT 1 AS ok FROM ${qid(group.table)} WHERE ${keys.map(k => `${qid(k)} = ?`).join(' AND ')} AND (${expr})`,
+      params: r => keys.map(k => r[k] ?? null).concat(refs.map(c => r[c] ?? null))
     };
-    if ((!ks.mode || ks.mode === 'byColumns') &&
-        (!spec.columns || !spec.columns.length) &&
-        group.conflict === 'upsert' &&
-        Array.isArray(group.upsertKeys) && group.upsertKeys.length) {
-      spec.columns = group.upsertKeys.slice();
-    }
-    return spec;
   }
 
-  function keyOfMappedRow(mapped, spec) {
-    if (!spec) return '';
-    const S = spec.separator || '|';
-    if (spec.mode === 'byColumns' && spec.columns && spec.columns.length) {
-      return spec.columns.map(c => String(mapped[c] ?? '')).join(S);
+  function columnType(group, col, rows) {
+    const declared = isObj(group.columnTypes) ? group.columnTypes[col] : null;
+    if (declared) {
+      if (!/^[A-Za-z][A-Za-z0-9_ ]*$/.test(String(declared))) throw new Error(`Invalid column type for "${col}": ${declared}`);
+      return String(declared).trim();
     }
-    if (spec.mode === 'byTemplate' && spec.template) {
-      return String(spec.template).replace(/\{\{([^}]+)\}\}/g, (_, k) => String(mapped[k.trim()] ?? ''));
+    const m = !group.autoMap && (group.mapping || []).find(x => x.col === col);
+    if (m && (m.source === 'lookup' || m.source === 'parentId')) return 'INTEGER';
+    if (m && TRANSFORM_TYPES[m.transform]) return TRANSFORM_TYPES[m.transform];
+    for (const r of rows) {
+      const v = r[col];
+      if (v == null) continue;
+      if (typeof v === 'number') return Number.isInteger(v) ? 'INTEGER' : 'REAL';
+      if (typeof v === 'boolean') return 'INTEGER';
+      if (typeof v === 'string') return 'TEXT';
+      if (Buffer.isBuffer(v)) return 'BLOB';
+      break;
     }
     return '';
   }
 
-  function buildKeyConcatExpr(spec) {
-    const S = String(spec.separator || '|').replace(/'/g, "''");
-    const parts = (spec.columns || []).map(c => `COALESCE(${qid(c)},'')`);
-    return parts.join(` || '${S}' || `);
+  // Creates the group's table if missing, else adds missing columns. Never drops or
+  // alters existing columns. Returns the DDL statements that were executed.
+  async function ensureTable(db, group, cols, rows, spec) {
+    const table = qid(group.table);
+    const executed = [];
+    const existing = await dbAll(db, `PRAGMA table_info(${table})`);
+    if (!existing.length) {
+      const idCol = spec?.idColumn || group.returnRows?.idColumn || 'id';
+      const known = new Set(cols.concat(idCol));
+      const defs = [];
+      if (!cols.includes(idCol)) defs.push(`${qid(idCol)} INTEGER PRIMARY KEY`);
+      for (const c of cols) {
+        const type = columnType(group, c, rows);
+        defs.push(`${qid(c)}${type ? ' ' + type : ''}${c === idCol ? ' PRIMARY KEY' : ''}`);
+      }
+      const uniques = [];
+      for (const keys of [group.upsertKeys, spec && spec.mode === 'byColumns' ? spec.columns : null]) {
+        if (!keys || !keys.length || !keys.every(k => known.has(k))) continue;
+        if (keys.length === 1 && keys[0] === idCol) continue;
+        if (uniques.some(u => u.length === keys.length && u.every(k => keys.includes(k)))) continue;
+        uniques.push(keys);
+      }
+      uniques.forEach(u => defs.push(`UNIQUE (${u.map(qid).join(', ')})`));
+      const sql = `CREATE TABLE IF NOT EXISTS ${table} (${defs.join(', ')})`;
+      await dbRun(db, sql);
+      executed.push(sql);
+      return executed;
+    }
+    const have = new Set(existing.map(c => String(c.name).toLowerCase()));
+    for (const c of cols) {
+      if (have.has(c.toLowerCase())) continue;
+      const type = columnType(group, c, rows);
+      const sql = `ALTER TABLE ${table} ADD COLUMN ${qid(c)}${type ? ' ' + type : ''}`;
+      await dbRun(db, sql);
+      executed.push(sql);
+    }
+    return executed;
   }
 
-  const dbRun = (db, sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, function (err) { if (err) reject(err); else resolve(this); }));
-  const dbAll = (db, sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => { if (err) reject(err); else resolve(rows || []); }));
-  const dbPrepare = (db, sql) => new Promise((resolve, reject) => db.prepare(sql, function (err) { if (err) reject(err); else resolve(this); }));
-  const dbFinalize = (stmt) => new Promise((resolve, reject) => stmt.finalize((err) => err ? reject(err) : resolve()));
+  // Per-row outcome of one INSERT: inserted | updated | unchanged | ignored.
+  // For UPSERT and REPLACE, `existed` says whether a conflicting row was already stored.
+  function rowOutcome(group, res, existed) {
+    const upsert = group.conflict === 'upsert' || group.conflict === 'update';
+    if (!res.changes) {
+      // update-only rows without a stored row are never written
+      if (group.conflict === 'update' && !existed) return 'ignored';
+      const doesUpdate = upsert && group.upsertKeys.length && updateColumnsOf(group).length;
+      return doesUpdate ? 'unchanged' : 'ignored';
+    }
+    if ((upsert || group.conflict === 'replace') && existed) return 'updated';
+    return 'inserted';
+  }
 
-  async function beginTx(mode, db) { if (mode === 'off') return; await dbRun(db, 'BEGIN'); }
-  async function commitTx(mode, db) { if (mode === 'off') return; await dbRun(db, 'COMMIT'); }
-  async function rollbackTx(mode, db) { if (mode === 'off') return; try { await dbRun(db, 'ROLLBACK'); } catch {} }
+  // Conflict key of a mapped row; null when any part is NULL (NULLs never conflict)
+  function conflictKeyOf(row, keyCols) {
+    const vals = keyCols.map(c => row[c]);
+    if (vals.some(v => v == null)) return null;
+    return vals.map(v => String(v)).join('\u0000');
+  }
 
-  // -----------------------------
-  // Node implementation (with config-file wrapper)
-  // -----------------------------
-  function SqliteLinkInsert(config) {
-    RED.nodes.createNode(this, config);
-    const node = this;
+  // Within-batch deduplication by conflict key (rows with a NULL key are all kept):
+  // 'first' keeps the first row of a key, 'last' the last one, 'merge' lays the
+  // non-null values of later rows over the first. Kept rows stay in first-seen order;
+  // kept[p].i is the index of the row whose values were kept (the last one for
+  // 'last'), dropped rows are { i, into: p }.
+  function dedupeRows(rows, keyCols, mode) {
+    const at = new Map();
+    const kept = [];
+    const dropped = [];
+    rows.forEach((r, i) => {
+      const k = conflictKeyOf(r, keyCols);
+      const p = k == null ? undefined : at.get(k);
+      if (p === undefined) {
+        if (k != null) at.set(k, kept.length);
+        kept.push({ i, row: r });
+        return;
+      }
+      if (mode === 'last') {
+        dropped.push({ i: kept[p].i, into: p });
+        kept[p] = { i, row: r };
+        return;
+      }
+      dropped.push({ i, into: p });
+      if (mode === 'merge') {
+        const m = Object.assign({}, kept[p].row);
+        for (const [c, v] of Object.entries(r)) if (v != null) m[c] = v;
+        kept[p].row = m;
+      }
+    });
+    return { kept, dropped };
+  }
 
-    // Saved editor config
-    node.dbPathType = config.dbPathType || 'str';
-    node.dbPath = config.dbPath || '';
-    node.txMode = config.txMode || 'perTable';
-    node.chunkSize = Number(config.chunkSize || 500);
-    node.continueOnError = !!config.continueOnError;
+  // Key for matching RETURNING rows to their input rows. Column affinity may store
+  // '7' as 7 or true as 1, so numeric strings and booleans compare as numbers; null
+  // when a part is NULL or not a plain value.
+  function returnedKeyOf(row, keyCols) {
+    const vals = keyCols.map(c => row[c]);
+    if (vals.some(v => v == null || typeof v === 'object')) return null;
+    return vals.map(v => typeof v === 'boolean' ? String(+v)
+      : typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)) ? String(Number(v)) : String(v)).join('\u0000');
+  }
 
-    node.enableWAL = !!config.enableWAL;
-    node.syncMode = config.syncMode || '';
-    node.extraPragmas = config.extraPragmas || '';
+  // Which conflict keys of `rows` already exist in the table
+  async function selectExistingKeys(db, table, keyCols, rows) {
+    const out = new Set();
+    const keyed = new Map();
+    for (const r of rows) {
+      const k = conflictKeyOf(r, keyCols);
+      if (k != null && !keyed.has(k)) keyed.set(k, keyCols.map(c => r[c]));
+    }
+    if (!keyed.size) return out;
+    const tuple = `(${keyCols.map(_ => '?').join(', ')})`;
+    const lhs = keyCols.length > 1 ? `(${keyCols.map(qid).join(', ')})` : qid(keyCols[0]);
+    for (const ch of chunkify(Array.from(keyed.values()), Math.max(1, Math.floor(900 / keyCols.length)))) {
+      const sql = `SELECT ${keyCols.map(qid).join(', ')} FROM ${qid(table)} WHERE ${lhs} IN (VALUES ${ch.map(_ => tuple).join(', ')})`;
+      const rows = await dbAll(db, sql, ch.flat());
+      for (const r of rows) out.add(conflictKeyOf(r, keyCols));
+    }
+    return out;
+  }
 
-    node.mirrorToPayload = !!config.mirrorToPayload;
-    node.groups = Array.isArray(config.groups) ? config.groups : [];
+  // Ids of the stored rows whose keyCols equal those of `rows`. Compared in SQL, so
+  // '001' finds the 1 an INTEGER column stored; NULL parts match NULL.
+  async function selectIdsOfRows(db, table, idCol, keyCols, rows) {
+    const ids = new Set();
+    const tuples = new Map();
+    for (const r of rows) {
+      const t = keyCols.map(c => r[c] ?? null);
+      tuples.set(JSON.stringify(t), t);
+    }
+    const all = Array.from(tuples.values());
+    const size = Math.max(1, Math.floor(900 / keyCols.length));
+    const tuple = `(${keyCols.map(_ => '?').join(', ')})`;
+    const lhs = keyCols.length > 1 ? `(${keyCols.map(qid).join(', ')})` : qid(keyCols[0]);
+    for (const ch of chunkify(all.filter(t => !t.includes(null)), size)) {
+      const sql = `SELECT ${qid(idCol)} AS id FROM ${qid(table)} WHERE ${lhs} IN (VALUES ${ch.map(_ => tuple).join(', ')})`;
+      for (const r of await dbAll(db, sql, ch.flat())) ids.add(r.id);
+    }
+    const match = `(${keyCols.map(c => `${qid(c)} IS ?`).join(' AND ')})`;
+    for (const ch of chunkify(all.filter(t => t.includes(null)), size)) {
+      const sql = `SELECT ${qid(idCol)} AS id FROM ${qid(table)} WHERE ${ch.map(_ => match).join(' OR ')}`;
+      for (const r of await dbAll(db, sql, ch.flat())) ids.add(r.id);
+    }
+    return ids;
+  }
 
-    // New config-file fields
-    node.useConfigFile = !!config.useConfigFile;
-    node.configPath = config.configPath || '';
-    node.lockToFile = !!config.lockToFile;
-    node.watchFile = !!config.watchFile;
+  const syncScopeCols = sync => isArr(sync.scope) ? sync.scope.filter(Boolean) : String(sync.scope || '').split(',').map(c => c.trim()).filter(Boolean);
 
-    let lockedCfg = null;
+  // Sync/mirror: rows of the table whose key is not in the batch are deleted, or
+  // marked in sync.column with sync.value (soft mode), limited to the scope
+  // values present in the batch. Soft-deleted rows that are back get sync.liveValue.
+  // Throws (code SYNC_THRESHOLD) before changing anything if more than
+  // sync.maxRatio of the rows in scope would be removed. With `audit`, an entry per
+  // removed or restored row is added to audit.entries.
+  async function syncTable(db, group, spec, mapped, audit) {
+    const sync = group.sync;
+    const idCol = spec.idColumn || 'id';
+    const scopeCols = syncScopeCols(sync);
+    const soft = sync.mode === 'soft';
+    const flagCol = soft ? sync.column || 'deleted_at' : null;
+    const liveValue = soft ? sync.liveValue ?? null : null;
+    const isLive = r => !soft || r._f == null || r._f === liveValue;
 
-    async function loadLockedConfigIfNeeded() {
-      if (!node.useConfigFile || !node.lockToFile) { lockedCfg = null; return; }
-      ensureJsonExt(node.configPath);
-      const abs = resolveUnderUserDir(node.configPath);
-      const cfg = await readJsonIfExists(abs);
-      lockedCfg = cfg || null;
-      node.status(lockedCfg ? {fill:'blue',shape:'dot',text:'cfg loaded'} : {fill:'yellow',shape:'ring',text:'cfg missing → node cfg'});
+    // rows in scope, the scope tuples chunked to stay under the parameter limit
+    const table = qid(group.table);
+    const picks = `${qid(idCol)} AS id${soft ? `, ${qid(flagCol)} AS _f` : ''}`;
+    const rows = [];
+    let scope = null;
+    if (scopeCols.length) {
+      const tuples = new Map();
+      for (const r of mapped) {
+        const t = scopeCols.map(c => r[c] ?? null);
+        tuples.set(JSON.stringify(t), t);
+      }
+      scope = tuples.size;
+      const lhs = scopeCols.length > 1 ? `(${scopeCols.map(qid).join(', ')})` : qid(scopeCols[0]);
+      const tuple = `(${scopeCols.map(_ => '?').join(', ')})`;
+      for (const ch of chunkify(Array.from(tuples.values()), Math.max(1, Math.floor(900 / scopeCols.length)))) {
+        rows.push(...await dbAll(db, `SELECT ${picks} FROM ${table} WHERE ${lhs} IN (VALUES ${ch.map(_ => tuple).join(', ')})`, ch.flat()));
+      }
+    } else {
+      rows.push(...await dbAll(db, `SELECT ${picks} FROM ${table}`));
     }
+    // rows the input keeps, matched in SQL so column affinity applies as it did on write
+    const present = await selectIdsOfRows(db, group.table, idCol, spec.columns, mapped);
+    const candidates = rows.filter(isLive);
+    const gone = candidates.filter(r => !present.has(r.id)).map(r => r.id);
+    const back = soft ? rows.filter(r => !isLive(r) && present.has(r.id)).map(r => r.id) : [];
 
-    function startWatchingIfNeeded() {
-      if (!node.useConfigFile || !node.watchFile) return;
-      try {
-        ensureJsonExt(node.configPath);
-        const abs = resolveUnderUserDir(node.configPath);
-        let info = watchers.get(abs);
-        if (!info) {
-          const w = fs.watch(abs, { persistent:false }, async (ev) => {
-            if (ev === 'change' || ev === 'rename') {
-              try { await loadLockedConfigIfNeeded(); node.trace('config reloaded'); }
-              catch (e) { node.warn('config reload failed: '+e.message); }
-            }
-          });
-          info = { count:0, watcher:w };
-          watchers.set(abs, info);
-        }
-        info.count += 1;
-      } catch { /* ignore if file not there yet */ }
+    const maxRatio = sync.maxRatio == null || sync.maxRatio === '' ? 0.5 : Number(sync.maxRatio);
+    if (gone.length && gone.length > maxRatio * candidates.length) {
+      const e = new Error(`sync of "${group.table}" would remove ${gone.length} of ${candidates.length} rows (limit ${Math.round(maxRatio * 100)}%)`);
+      e.code = 'SYNC_THRESHOLD';
+      throw e;
     }
-    function stopWatching() {
-      if (!node.useConfigFile || !node.configPath) return;
-      try {
-        const abs = resolveUnderUserDir(node.configPath);
-        const info = watchers.get(abs);
-        if (info) {
-          info.count -= 1;
-          if (info.count <= 0) { info.watcher.close(); watchers.delete(abs); }
-        }
-      } catch {}
+    const byIds = async (ids, sql, head) => {
+      for (const ch of chunkify(ids, 500)) await dbRun(db, `${sql} WHERE ${qid(idCol)} IN (${ch.map(_ => '?').join(', ')})`, head.concat(ch));
+    };
+    const goneValue = soft ? sync.value ?? new Date().toISOString() : null;
+    if (audit) {
+      const before = [];
+      for (const ch of chunkify(gone.concat(back), 500)) {
+        before.push(...await dbAll(db, `SELECT * FROM ${qid(group.table)} WHERE ${qid(idCol)} IN (${ch.map(_ => '?').join(', ')})`, ch));
+      }
+      const goneIds = new Set(gone);
+      for (const r of before) {
+        const isGone = goneIds.has(r[idCol]);
+        const after = soft ? Object.assign({}, r, { [flagCol]: isGone ? goneValue : liveValue }) : null;
+        const e = auditEntry(audit, group.table, r, after, isGone ? 'delete' : 'update');
+        if (e) audit.entries.push(e);
+      }
     }
+    if (soft) {
+      await byIds(gone, `UPDATE ${qid(group.table)} SET ${qid(flagCol)} = ?`, [goneValue]);
+      await byIds(back, `UPDATE ${qid(group.table)} SET ${qid(flagCol)} = ?`, [liveValue]);
+    } else {
+      await byIds(gone, `DELETE FROM ${qid(group.table)}`, []);
+    }
+    return { scope, candidates: candidates.length, deleted: gone.length, restored: back.length };
+  }
 
-    loadLockedConfigIfNeeded().finally(startWatchingIfNeeded);
-    node.on('close', stopWatching);
+  // Audit trail: one history row per written, removed or restored row, holding the
+  // changed columns as {"col": {"old": .., "new": ..}} JSON. Entries are written in
+  // the same transaction as the rows they describe.
+  function auditSpec(group) {
+    const a = group.audit;
+    if (!isObj(a) || !a.enabled) return null;
+    return { table: a.table || 'audit_log', createTable: a.createTable !== false, skipUnchanged: a.skipUnchanged !== false };
+  }
 
-    // --- INPUT (original pipeline; we only resolve effective config here) ---
-    node.on('input', async (msg, send, done) => {
-      const started = Date.now();
-      const timings = { msOpen: 0, msExec: 0, msTotal: 0 };
+  // Creates the audit table if missing; returns the executed DDL or null
+  async function ensureAuditTable(db, table) {
+    if ((await dbAll(db, `PRAGMA table_info(${qid(table)})`)).length) return null;
+    const sql = `CREATE TABLE IF NOT EXISTS ${qid(table)} (id INTEGER PRIMARY KEY, ts TEXT NOT NULL, table_name TEXT NOT NULL, row_key TEXT, action TEXT NOT NULL, changes TEXT, msgid TEXT, node_id TEXT)`;
+    await dbRun(db, sql);
+    return sql;
+  }
 
-      // Choose effective runtime config
-      const runCfg = lockedCfg || {
-        txMode: node.txMode,
-        chunkSize: node.chunkSize,
-        continueOnError: node.continueOnError,
-        enableWAL: node.enableWAL,
-        syncMode: node.syncMode,
-        extraPragmas: node.extraPragmas,
-        mirrorToPayload: node.mirrorToPayload,
-        groups: node.groups
-      };
+  // Columns identifying an audited row: the UPSERT keys, else a unique key of the
+  // table that the written columns fill; without one the row id is the key
+  async function auditKeyColumns(db, group, cols) {
+    if (group.upsertKeys.length) return group.upsertKeys;
+    return (await uniqueKeySets(db, group.table)).find(set => set.every(c => cols.includes(c))) || [];
+  }
 
-      // Copy originals to local vars used below (so original logic stays intact)
-      const local = {
-        txMode: runCfg.txMode || 'perTable',
-        chunkSize: Number(runCfg.chunkSize || 500),
-        continueOnError: !!runCfg.continueOnError,
-        enableWAL: !!runCfg.enableWAL,
-        syncMode: runCfg.syncMode || '',
-        extraPragmas: runCfg.extraPragmas || '',
-        mirrorToPayload: !!runCfg.mirrorToPayload,
-        groups: Array.isArray(runCfg.groups) ? runCfg.groups : []
-      };
+  // Stored row with the key values of `row`, or null
+  async function auditRowOf(db, table, keys, row) {
+    if (!keys.length || keys.some(k => row[k] == null)) return null;
+    const found = await dbAll(db, `SELECT * FROM ${qid(table)} WHERE ${keys.map(k => `${qid(k)} = ?`).join(' AND ')} LIMIT 1`, keys.map(k => row[k]));
+    return found[0] || null;
+  }
+
+  // Stored row after a write: the RETURNING row, else re-read by key or by the rowid
+  // the INSERT reported (the mapped row itself for WITHOUT ROWID tables)
+  async function auditRowAfter(db, table, keys, row, res) {
+    if (res.row) return res.row;
+    if (keys.length) return auditRowOf(db, table, keys, row);
+    try {
+      return (await dbAll(db, `SELECT * FROM ${qid(table)} WHERE rowid = ?`, [res.lastID]))[0] || row;
+    } catch {
+      return row;
+    }
+  }
+
+  const sameValue = (a, b) => Buffer.isBuffer(a) && Buffer.isBuffer(b) ? a.equals(b) : a === b;
+
+  // Entry for a row going from `before` to `after` (null = absent); null when nothing
+  // changed and the audit skips unchanged rows
+  function auditEntry(audit, table, before, after, action) {
+    const changes = {};
+    for (const c of Object.keys(after || before)) {
+      const o = before ? before[c] ?? null : null;
+      const n = after ? after[c] ?? null : null;
+      if (!sameValue(o, n)) changes[c] = { old: o, new: n };
+    }
+    const changed = Object.keys(changes).length > 0;
+    if (!changed && audit.skipUnchanged) return null;
+    const row = after || before;
+    return {
+      table,
+      key: audit.keys.length ? audit.keys.map(k => row[k] ?? '').join('|') : String(row[audit.idCol] ?? ''),
+      action: !changed ? 'unchanged' : action || (!after ? 'delete' : before ? 'update' : 'insert'),
+      changes
+    };
+  }
 
+  // Buffers are stored as base64 text
+  const auditJson = v => JSON.stringify(v, (_k, x) => x && x.type === 'Buffer' && isArr(x.data) ? Buffer.from(x.data).toString('base64') : x);
+
+  async function writeAudit(db, table, entries) {
+    if (!entries.length) return;
+    const stmt = await dbPrepare(db, `INSERT INTO ${qid(table)} (ts, table_name, row_key, action, changes, msgid, node_id) VALUES (?, ?, ?, ?, ?, ?, ?)`);
+    try {
+      for (const e of entries) await stmtExec(stmt, [e.ts, e.table, e.key, e.action, auditJson(e.changes), e.msgid ?? null, e.nodeId], false);
+    } finally {
+      await dbFinalize(stmt);
+    }
+  }
+
+  // REPLACE deletes the conflicting row before inserting, so changes() cannot tell
+  // an insert from a replacement. The chunk's keys already stored under each unique
+  // key of the table (primary key included) that `cols` fill can, with one indexed
+  // query per key.
+  async function replaceProbe(db, table, cols, rows) {
+    const stored = [];
+    for (const set of await uniqueKeySets(db, table)) {
+      if (set.every(c => cols.includes(c))) stored.push({ set, keys: await selectExistingKeys(db, table, set, rows) });
+    }
+    return {
+      existed: r => stored.some(s => { const k = conflictKeyOf(r, s.set); return k != null && s.keys.has(k); }),
+      add: r => stored.forEach(s => { const k = conflictKeyOf(r, s.set); if (k != null) s.keys.add(k); })
+    };
+  }
+
+  // Nested sources: "payload.orders[*].lines" explodes the lines of every order, each
+  // line keeping its order as $parent. The part before the last "[*]" is the parent source.
+  const plainSource = src => String(src || '').replace(/\[\*\]$/, '');
+
+  function parentGroupOf(groups, g) {
+    const src = plainSource(g.source);
+    const i = src.lastIndexOf('[*]');
+    if (i <= 0) return null;
+    const ps = src.slice(0, i);
+    return groups.find(x => isObj(x) && x.table && x !== g && (x.sourceType || 'msg') === (g.sourceType || 'msg') && plainSource(x.source) === ps) || null;
+  }
+
+  const usesFileSource = groups => isArr(groups) && groups.some(g => g && g.sourceType === 'file');
+
+  // Source rows of a group: { rows, parents } (parents[i] is undefined for flat sources)
+  async function readSource(RED, node, msg, g) {
+    const type = g.sourceType || 'msg';
+    const parts = plainSource(g.source).split('[*]');
+    if (parts.length === 1 || !['msg', 'flow', 'global'].includes(type)) {
+      const v = await typedGet(RED, node, msg, type, g.source, null);
+      return { rows: isArr(v) ? v : [], parents: [] };
+    }
+    let level = [{ value: await typedGet(RED, node, msg, type, parts[0], null), parent: undefined }];
+    for (const part of parts.slice(1)) {
+      const p = part.replace(/^\./, '');
+      const next = [];
+      for (const it of level) {
+        if (!isArr(it.value)) continue;
+        for (const el of it.value) next.push({ value: !p ? el : isObj(el) ? RED.util.getMessageProperty(el, p) : undefined, parent: el });
+      }
+      level = next;
+    }
+    const rows = [];
+    const parents = [];
+    for (const it of level) {
+      if (!isArr(it.value)) continue;
+      for (const r of it.value) { rows.push(r); parents.push(it.parent); }
+    }
+    return { rows, parents };
+  }
+
+  // File sources (sourceType "file"): a CSV or NDJSON file streamed in slices of rows.
+  // The path (constant or taken from msg/flow/global/env) is relative to userDir and
+  // must stay inside it; an absolute path must lie under userDir or a directory
+  // listed in settings.js (sqliteLinkInsert.fileDirs).
+  function allowedFileDirs() {
+    const dirs = (RED.settings.sqliteLinkInsert || {}).fileDirs;
+    return (isArr(dirs) ? dirs : []).filter(d => typeof d === 'string' && d).map(d => path.resolve(d));
+  }
+  async function openFileSource(RED, node, msg, g) {
+    const f = g.file || {};
+    const pathType = f.pathType || 'str';
+    const name = pathType === 'str' ? g.source : await typedGet(RED, node, msg, pathType, g.source, null);
+    const fail = (why) => new Error(`file source of "${g.alias || g.table}": ${why}`);
+    if (!name || typeof name !== 'string') throw fail('no file path');
+    const userDir = path.resolve(RED.settings.userDir || process.cwd());
+    const abs = path.resolve(userDir, name);
+    if (!path.isAbsolute(name)) {
+      if (!insideDir(userDir, abs)) throw fail('path must be under userDir');
+    } else if (!insideDir(userDir, abs) && !allowedFileDirs().some(d => insideDir(d, abs))) {
+      throw fail('absolute path must be under userDir or a directory in sqliteLinkInsert.fileDirs (settings.js)');
+    }
+    const { size } = await fsp.stat(abs);
+    return { name, path: abs, size };
+  }
+
+  const csvDelimiter = f => (f.delimiter === 'tab' || f.delimiter === '\\t' ? '\t' : (f.delimiter || ','));
+  const csvQuote = f => (f.quote == null ? '"' : f.quote);
+  // The parser compares single characters: longer delimiters or quotes would never match.
+  // Returns { option, message } for the first bad option, or null.
+  function csvOptionError(f) {
+    const delim = csvDelimiter(f);
+    const quote = csvQuote(f);
+    if (typeof delim !== 'string' || delim.length !== 1) return { option:'delimiter', message:'must be one character or "tab"' };
+    if (typeof quote !== 'string' || quote.length > 1) return { option:'quote', message:'must be one character (or empty for none)' };
+    if (quote === delim) return { option:'quote', message:'must differ from the delimiter' };
+    return null;
+  }
+
+  // Incremental CSV parser: header row (or `columns`), delimiter, quote char with ""
+  // escapes, CRLF/LF line ends and line breaks inside quotes. Empty unquoted fields
+  // are null. push() adds complete records to out.rows; end() flushes the last one.
+  function csvParser(f) {
+    const bad = csvOptionError(f);
+    if (bad) throw new Error(`CSV ${bad.option} ${bad.message}`);
+    const delim = csvDelimiter(f);
+    const quote = csvQuote(f);
+    const names = isArr(f.columns) && f.columns.length ? f.columns : null;
+    let header = f.header === false ? names : undefined; // undefined: still to read
+    let field = '';
+    let record = [];
+    let quoted = false;     // current field started with a quote
+    let inQuotes = false;
+    let afterQuote = false; // a quote inside quotes: closing, or the first of ""
+    let skipLF = false;
+    let prevCR = false;
+    let line = 1;
+    let recLine = 1;
+    let bom = true;
+
+    const endField = () => {
+      record.push(quoted ? field : field === '' ? null : field);
+      field = '';
+      quoted = false;
+    };
+    const endRecord = (out) => {
+      endField();
+      const rec = record;
+      record = [];
+      recLine = line;
+      if (rec.length === 1 && rec[0] === null) return; // blank line
+      if (header === undefined) {
+        header = names || rec.map((h, i) => h == null || String(h).trim() === '' ? `col${i + 1}` : String(h).trim());
+        return;
+      }
+      const row = {};
+      rec.forEach((v, i) => { row[header && header[i] != null ? header[i] : `col${i + 1}`] = v; });
+      out.rows.push(row);
+    };
+    return {
+      push(text, out) {
+        for (let i = 0; i < text.length; i++) {
+          const c = text[i];
+          if (bom) { bom = false; if (c === '\uFEFF') continue; }
+          if (c === '\n' ? !prevCR : c === '\r') line++;
+          prevCR = c === '\r';
+          if (skipLF) { skipLF = false; if (c === '\n') continue; }
+          if (inQuotes) {
+            if (c === quote) { inQuotes = false; afterQuote = true; } else field += c;
+            continue;
+          }
+          if (afterQuote) {
+            afterQuote = false;
+            if (c === quote) { field += c; inQuotes = true; continue; }
+          }
+          if (quote && c === quote && field === '' && !quoted) { quoted = true; inQuotes = true; continue; }
+          if (c === delim) { endField(); continue; }
+          if (c === '\n' || c === '\r') { if (c === '\r') skipLF = true; endRecord(out); continue; }
+          field += c;
+        }
+      },
+      end(out) {
+        if (inQuotes) out.errors.push({ line: recLine, message: `line ${recLine}: unterminated quoted field`, text: field.slice(0, 200) });
+        else if (field !== '' || quoted || record.length) endRecord(out);
+      }
+    };
+  }
+
+  // NDJSON: one JSON value per line; blank lines are skipped, bad lines become errors
+  function ndjsonParser() {
+    let rest = '';
+    let line = 0;
+    const parseLine = (text, out) => {
+      line++;
+      const t = text.trim();
+      if (!t) return;
       try {
-        // Resolve DB path using original typedGet
-        const dbPath = await typedGet(RED, node, msg, node.dbPathType, node.dbPath, null);
-        if (!dbPath || typeof dbPath !== 'string') throw new Error('Invalid database path');
+        out.rows.push(JSON.parse(t));
+      } catch (e) {
+        out.errors.push({ line, message: `line ${line}: ${e.message}`, text: t.slice(0, 200) });
+      }
+    };
+    return {
+      push(text, out) {
+        const parts = (rest + text).split('\n');
+        rest = parts.pop();
+        for (const p of parts) parseLine(p, out);
+      },
+      end(out) {
+        if (rest) parseLine(rest, out);
+        rest = '';
+      }
+    };
+  }
 
-        const db = new sqlite3.Database(dbPath);
-        timings.msOpen = Date.now() - started;
-        const totals = { inserted: 0, updated: 0, errors: 0, skipped: 0 };
-        const byTable = {};
-        const ctxMaps = {};
-        const keySpecs = {};
+  // Yields { rows, errors, bytes } slices of up to `size` rows; only the current slice
+  // and one read buffer are held in memory. `bytes` is the file position reached.
+  async function* fileBatches(abs, f, size) {
+    const parser = f.format === 'ndjson' ? ndjsonParser() : csvParser(f);
+    const stream = fs.createReadStream(abs, { encoding: f.encoding || 'utf8', highWaterMark: 64 * 1024 });
+    const out = { rows: [], errors: [] };
+    const take = (n) => ({ rows: out.rows.splice(0, n), errors: out.errors.splice(0), bytes: stream.bytesRead });
+    try {
+      for await (const text of stream) {
+        parser.push(text, out);
+        while (out.rows.length >= size) yield take(size);
+      }
+      parser.end(out);
+      if (out.rows.length || out.errors.length) yield take(out.rows.length);
+    } finally {
+      stream.destroy();
+    }
+  }
 
-        // PRAGMAs (from effective config)
+  // Execution order of groups from their lookup dependencies: a stable topological
+  // sort (array order wins among ready groups). Groups caught in a cycle run last,
+  // in array order. Returns { order: [group indexes], errors: [messages] }.
+  function resolveGroupOrder(groups) {
+    const aliasOf = g => g.alias || g.table;
+    const valid = [];
+    const byAlias = new Map();
+    // entries that are not objects (or have no table) take no part
+    groups.forEach((g, i) => {
+      if (!isObj(g) || !g.table) return;
+      valid.push(i);
+      const a = aliasOf(g);
+      if (!byAlias.has(a)) byAlias.set(a, []);
+      byAlias.get(a).push(i);
+    });
+    const errors = [];
+    const deps = groups.map((g, gi) => {
+      const out = new Set();
+      if (!isObj(g) || !g.table || g.autoMap) return out;
+      for (const m of (isArr(g.mapping) ? g.mapping : [])) {
+        if (!isObj(m)) continue;
+        if (m.source === 'parentId') {
+          const targets = m.fromGroup ? byAlias.get(m.fromGroup) : [groups.indexOf(parentGroupOf(groups, g))].filter(i => i >= 0);
+          if (!targets || !targets.length) {
+            errors.push(`group "${aliasOf(g)}": parent id "${m.col}" has ${m.fromGroup ? `unknown group "${m.fromGroup}"` : 'no parent group'}`);
+            continue;
+          }
+          targets.forEach(t => out.add(t));
+          continue;
+        }
+        if (m.source !== 'lookup') continue;
+        if (isObj(m.lookup) && m.lookup.from === 'db') {
+          // run after any group of this node that writes the looked-up table
+          const t = String(m.lookup.table || '').toLowerCase();
+          if (!t) errors.push(`group "${aliasOf(g)}": lookup "${m.col}" has no table`);
+          valid.forEach(i => { if (groups[i] !== g && String(groups[i].table).toLowerCase() === t) out.add(i); });
+          continue;
+        }
+        const from = m.lookup && m.lookup.fromGroup;
+        const targets = from ? byAlias.get(from) : null;
+        if (!targets) {
+          errors.push(`group "${aliasOf(g)}": lookup "${m.col}" references ${from ? `unknown group "${from}"` : 'no group'}`);
+          continue;
+        }
+        targets.forEach(t => out.add(t));
+      }
+      // a group looking up its own alias uses the ids it has already written: not a cycle
+      out.delete(gi);
+      return out;
+    });
+    const order = [];
+    const placed = new Set();
+    for (;;) {
+      const next = valid.find(i => !placed.has(i) && [...deps[i]].every(d => placed.has(d)));
+      if (next === undefined) break;
+      placed.add(next);
+      order.push(next);
+    }
+    const stuck = valid.filter(i => !placed.has(i));
+    if (stuck.length) errors.push(`lookup cycle between groups: ${stuck.map(i => aliasOf(groups[i])).join(', ')}`);
+    return { order: order.concat(stuck), errors };
+  }
+
+  function normKeySpec(group) {
+    const ks = group.keySpec || {};
+    if (!ks.enabled) return null;
+    const spec = {
+      enabled: true,
+      alias: ks.alias || group.alias || group.table,
+      mode: ks.mode || 'byColumns',
+      columns: Array.isArray(ks.columns) ? ks.columns.slice() : [],
+      template: ks.template || '',
+      jsonata: ks.jsonata || '',
+      separator: ks.separator || '|',
+      selectMissing: !!ks.selectMissing,
+      returnPath: ks.returnPath || null,
+      returnPathType: ks.returnPathType || 'flow',
+      idColumn: ks.idColumn || 'id'
+    };
+    if ((!ks.mode || ks.mode === 'byColumns') &&
+        (!spec.columns || !spec.columns.length) &&
+        (group.conflict === 'upsert' || group.conflict === 'update') &&
+        Array.isArray(group.upsertKeys) && group.upsertKeys.length) {
+      spec.columns = group.upsertKeys.slice();
+    }
+    return spec;
+  }
+
+  function keyOfMappedRow(mapped, spec) {
+    if (!spec) return '';
+    const S = spec.separator || '|';
+    if (spec.mode === 'byColumns' && spec.columns && spec.columns.length) {
+      return spec.columns.map(c => String(mapped[c] ?? '')).join(S);
+    }
+    if (spec.mode === 'byTemplate' && spec.template) {
+      return String(spec.template).replace(/\{\{([^}]+)\}\}/g, (_, k) => String(mapped[k.trim()] ?? ''));
+    }
+    return '';
+  }
+
+  // Key of a mapped row for any KeySpec mode. byJsonata evaluates spec.jsonata
+  // against the mapped row (plus `msg`); array results are joined with the separator.
+  async function keyOfRow(RED, node, msg, mapped, spec) {
+    if (spec.mode !== 'byJsonata') return keyOfMappedRow(mapped, spec);
+    const v = await typedGet(RED, node, msg, 'jsonata', spec.jsonata, mapped);
+    if (v == null) return '';
+    return isArr(v) ? v.map(x => String(x ?? '')).join(spec.separator || '|') : String(v);
+  }
+
+  function buildKeyConcatExpr(spec) {
+    const S = String(spec.separator || '|').replace(/'/g, "''");
+    const parts = (spec.columns || []).map(c => `COALESCE(${qid(c)},'')`);
+    return parts.join(` || '${S}' || `);
+  }
+
+  const dbRun = (db, sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, function (err) { if (err) reject(err); else resolve(this); }));
+  const dbAll = (db, sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => { if (err) reject(err); else resolve(rows || []); }));
+  const dbPrepare = (db, sql) => new Promise((resolve, reject) => db.prepare(sql, function (err) { if (err) reject(err); else resolve(this); }));
+  const dbFinalize = (stmt) => new Promise((resolve, reject) => stmt.finalize((err) => err ? reject(err) : resolve()));
+
+  const DRY_RUN_SAMPLE = 5; // parameter rows shown per group in a dry-run preview
+
+  // RETURNING needs SQLite >= 3.35
+  const RETURNING_SUPPORTED = (() => {
+    const [major, minor] = String(sqlite3.VERSION || '0.0').split('.').map(Number);
+    return major > 3 || (major === 3 && minor >= 35);
+  })();
+
+  // Bound parameters per statement (SQLITE_MAX_VARIABLE_NUMBER: 32766 since 3.32, 999 before)
+  const MAX_VARIABLES = (() => {
+    const [major, minor] = String(sqlite3.VERSION || '0.0').split('.').map(Number);
+    return major > 3 || (major === 3 && minor >= 32) ? 32766 : 999;
+  })();
+
+  // Runs a prepared INSERT; with RETURNING the written row comes back as well
+  const stmtExec = (stmt, params, returning) => new Promise((resolve, reject) => {
+    if (!returning) {
+      stmt.run(params, function (err) { if (err) reject(err); else resolve({ changes: this.changes, row: null, lastID: this.lastID }); });
+      return;
+    }
+    stmt.all(params, (err, rows) => {
+      if (err) return reject(err);
+      const row = rows && rows[0] ? rows[0] : null;
+      resolve({ changes: row ? 1 : 0, row });
+    });
+  });
+
+  // Column sets of the table's primary key and unique indexes (expression indexes skipped)
+  async function uniqueKeySets(db, table) {
+    const cols = await dbAll(db, `PRAGMA table_info(${qid(table)})`);
+    const pk = cols.filter(c => c.pk).sort((a, b) => a.pk - b.pk).map(c => c.name);
+    const out = pk.length ? [pk] : [];
+    for (const ix of await dbAll(db, `PRAGMA index_list(${qid(table)})`)) {
+      if (!ix.unique || ix.partial) continue;
+      const info = await dbAll(db, `PRAGMA index_info(${qid(ix.name)})`);
+      if (info.every(i => i.name)) out.push(info.sort((a, b) => a.seqno - b.seqno).map(i => i.name));
+    }
+    return out;
+  }
+
+  // Id of each written row in `mapped` order (undefined if it failed or cannot be
+  // found): from RETURNING or the mapped id column, else by the rowid an INSERT
+  // reported, else re-selected through a unique key the mapped row fills.
+  async function writtenIds(db, group, mapped, outcomes, idCol) {
+    const ids = new Array(mapped.length);
+    const byRowid = [];
+    const rest = [];
+    for (let i = 0; i < mapped.length; i++) {
+      const o = outcomes[i];
+      if (!o || o.action === 'error') continue;
+      if (o.row && o.row[idCol] !== undefined) ids[i] = o.row[idCol];
+      else if (mapped[i][idCol] != null) ids[i] = mapped[i][idCol];
+      else if (o.lastID && (o.action === 'inserted' || o.action === 'updated')) byRowid.push(i);
+      else rest.push(i);
+    }
+    for (const ch of chunkify(byRowid, 500)) {
+      let rows;
+      try {
+        rows = await dbAll(db, `SELECT rowid AS _r, ${qid(idCol)} AS id FROM ${qid(group.table)} WHERE rowid IN (${ch.map(_ => '?').join(', ')})`, ch.map(i => outcomes[i].lastID));
+      } catch {
+        rest.push(...ch); // WITHOUT ROWID table
+        continue;
+      }
+      const byR = new Map(rows.map(r => [r._r, r.id]));
+      for (const i of ch) ids[i] = byR.get(outcomes[i].lastID);
+    }
+    if (rest.length) {
+      // one batched lookup per unique key, for the rows that key is the first filled one of
+      const sets = await uniqueKeySets(db, group.table);
+      const bySet = new Map();
+      for (const i of rest) {
+        const keys = sets.find(set => set.every(c => mapped[i][c] != null));
+        if (!keys) continue;
+        if (!bySet.has(keys)) bySet.set(keys, []);
+        bySet.get(keys).push(i);
+      }
+      for (const [keys, rows] of bySet) {
+        const spec = { mode: 'byColumns', columns: keys, separator: '\u0000', idColumn: idCol };
+        const found = await selectIdsByKeys(db, group, spec, rows.map(i => keyOfMappedRow(mapped[i], spec)));
+        for (const i of rows) ids[i] = found.get(keyOfMappedRow(mapped[i], spec));
+      }
+    }
+    return ids;
+  }
+
+  async function beginTx(mode, db) { if (mode === 'off') return; await dbRun(db, 'BEGIN'); }
+  async function commitTx(mode, db) { if (mode === 'off') return; await dbRun(db, 'COMMIT'); }
+  async function rollbackTx(mode, db) { if (mode === 'off') return; try { await dbRun(db, 'ROLLBACK'); } catch {} }
+
+  // Rolls back to a savepoint and releases it. If SQLite already rolled back the whole
+  // transaction (ON CONFLICT ROLLBACK, disk full, ...) the savepoint is gone; the
+  // message then fails instead of carrying on outside a transaction.
+  async function rollbackSavepoint(db, name, cause) {
+    try {
+      await dbRun(db, `ROLLBACK TO ${name}`);
+      await dbRun(db, `RELEASE ${name}`);
+    } catch {
+      const e = new Error(`transaction was rolled back by SQLite after: ${cause.message}`);
+      e.code = cause.code;
+      e.failMessage = true;
+      throw e;
+    }
+  }
+
+  // Another connection holds the lock (after busy_timeout ran out)
+  const isBusy = e => !!e && (e.errno === 5 || e.errno === 6 || /^SQLITE_(BUSY|LOCKED)/.test(String(e.code || '')));
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Runs a transaction fn() again after BUSY/LOCKED, up to retry.retries times with
+  // exponential backoff from retry.delay ms. fn must roll back before throwing.
+  async function withBusyRetry(fn, retry, onRetry) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (e) {
+        if (!isBusy(e) || attempt >= retry.retries) throw e;
+        if (onRetry) onRetry(e, attempt + 1);
+        await sleep(retry.delay * 2 ** attempt);
+      }
+    }
+  }
+
+  // Read-only schema of a database file: tables, columns, primary key, unique indexes
+  async function readSchema(file) {
+    const db = await new Promise((resolve, reject) => {
+      const d = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => err ? reject(err) : resolve(d));
+    });
+    try {
+      const tables = {};
+      const names = await dbAll(db, "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+      for (const { name } of names) {
+        const cols = await dbAll(db, `PRAGMA table_info(${qid(name)})`);
+        const uniqueIndexes = [];
+        for (const ix of await dbAll(db, `PRAGMA index_list(${qid(name)})`)) {
+          if (!ix.unique) continue;
+          const info = await dbAll(db, `PRAGMA index_info(${qid(ix.name)})`);
+          uniqueIndexes.push({
+            name: ix.name,
+            origin: ix.origin,
+            partial: !!ix.partial,
+            columns: info.sort((a, b) => a.seqno - b.seqno).map(i => i.name)
+          });
+        }
+        tables[name] = {
+          columns: cols.map(c => ({ name: c.name, type: c.type, notNull: !!c.notnull, default: c.dflt_value, pk: c.pk })),
+          primaryKey: cols.filter(c => c.pk).sort((a, b) => a.pk - b.pk).map(c => c.name),
+          uniqueIndexes
+        };
+      }
+      return tables;
+    } finally {
+      db.close();
+    }
+  }
+
+  // -----------------------------
+  // Shared connections (one per database file, serialized queue)
+  // -----------------------------
+  const connections = new Map(); // key -> {key, db, refs, ready, queue}
+
+  // Database files of deployed nodes (connections and constant paths), for the schema endpoint
+  const knownDbFiles = new Set();
+
+  // Database lookup caches per connection, shared by every node writing through it:
+  // dbKey -> Map(sig -> {table, map, max})
+  const lookupCaches = new Map();
+
+  function lookupCache(dbKey, lk) {
+    if (!lookupCaches.has(dbKey)) lookupCaches.set(dbKey, new Map());
+    const caches = lookupCaches.get(dbKey);
+    const sig = dbLookupSig(lk);
+    let c = caches.get(sig);
+    if (!c) {
+      c = { table: String(lk.table).toLowerCase(), map: new Map(), max: Math.max(1, Number(lk.cacheSize) || 1000) };
+      caches.set(sig, c);
+    }
+    return c;
+  }
+
+  // Drops cached ids of `table` (all tables when omitted) on a connection
+  function dropLookupCaches(dbKey, table) {
+    const caches = lookupCaches.get(dbKey);
+    if (!caches) return;
+    for (const c of caches.values()) if (table == null || c.table === table) c.map.clear();
+  }
+
+  // Absolute database path; a relative one is relative to userDir (like config and
+  // file paths), for the connection and the schema endpoint alike
+  function connectionKey(dbPath) {
+    return dbPath === ':memory:' ? dbPath : path.resolve(RED.settings.userDir || process.cwd(), dbPath);
+  }
+
+  async function applyPragmas(db, opts, warn) {
+    // waits for other connections' locks instead of failing with SQLITE_BUSY at once
+    db.configure('busyTimeout', opts.busyTimeout == null || opts.busyTimeout === '' ? 5000 : Number(opts.busyTimeout) || 0);
+    try {
+      if (opts.enableWAL) await dbRun(db, 'PRAGMA journal_mode=WAL;');
+      if (opts.syncMode) await dbRun(db, `PRAGMA synchronous=${opts.syncMode};`);
+      if (opts.extraPragmas && String(opts.extraPragmas).trim()) {
+        for (const stmt of String(opts.extraPragmas).split(';')) {
+          const s = stmt.trim();
+          if (s) await dbRun(db, `PRAGMA ${s};`);
+        }
+      }
+    } catch (e) {
+      warn(`PRAGMA warning: ${e.message}`);
+    }
+  }
+
+  // Pragmas are applied once, by whoever opens the file first.
+  function acquireConnection(dbPath, opts, warn) {
+    const key = connectionKey(dbPath);
+    let entry = connections.get(key);
+    // a handle being closed is not reused; the new one opens once it is gone
+    const previous = entry && entry.closing;
+    if (previous) entry = null;
+    if (!entry) {
+      entry = { key, db: null, refs: 0, queue: Promise.resolve(), closing: null };
+      entry.ready = (previous || Promise.resolve()).then(() => new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(key, (err) => err ? reject(err) : resolve(db));
+      })).then(async (db) => {
+        entry.db = db;
+        await applyPragmas(db, opts || {}, warn || (() => {}));
+        return db;
+      });
+      entry.ready.catch(() => {});
+      connections.set(key, entry);
+    }
+    entry.refs += 1;
+    return entry;
+  }
+
+  function enqueue(entry, fn) {
+    const run = entry.queue.then(() => entry.ready).then((db) => fn(db));
+    entry.queue = run.catch(() => {});
+    return run;
+  }
+
+  // The entry stays in `connections` until the handle is closed: an acquire while the
+  // queue drains takes it back, one after that waits for the close before opening.
+  async function releaseConnection(entry) {
+    entry.refs -= 1;
+    if (entry.refs > 0) return;
+    await entry.queue;
+    if (entry.closing) return entry.closing;
+    if (entry.refs > 0) return;
+    entry.closing = (async () => {
+      const db = await entry.ready.catch(() => null); // still opening: close it once open
+      if (db) await new Promise((resolve) => db.close(() => resolve()));
+      entry.db = null;
+      if (connections.get(entry.key) === entry) connections.delete(entry.key);
+    })();
+    return entry.closing;
+  }
+
+  // -----------------------------
+  // Config node: long-lived connection shared by insert nodes
+  // -----------------------------
+  function SqliteLinkDb(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.dbPath = config.dbPath || '';
+    node.enableWAL = !!config.enableWAL;
+    node.syncMode = config.syncMode || '';
+    node.extraPragmas = config.extraPragmas || '';
+    node.busyTimeout = config.busyTimeout === undefined || config.busyTimeout === '' ? 5000 : Number(config.busyTimeout) || 0;
+
+    node.connection = null;
+    if (node.dbPath) {
+      knownDbFiles.add(connectionKey(node.dbPath));
+      node.connection = acquireConnection(node.dbPath, {
+        enableWAL: node.enableWAL,
+        syncMode: node.syncMode,
+        extraPragmas: node.extraPragmas,
+        busyTimeout: node.busyTimeout
+      }, (m) => node.warn(m));
+      node.connection.ready.catch((e) => node.error(`open failed: ${e.message}`));
+    }
+
+    // Run fn(db) once all previously queued work on this database has finished
+    node.enqueue = (fn) => {
+      if (!node.connection) return Promise.reject(new Error('sqlite-link-db: database path is empty'));
+      return enqueue(node.connection, fn);
+    };
+
+    node.on('close', (done) => {
+      const conn = node.connection;
+      node.connection = null;
+      if (!conn) return done();
+      releaseConnection(conn).then(() => done(), () => done());
+    });
+  }
+
+  // -----------------------------
+  // Node implementation (with config-file wrapper)
+  // -----------------------------
+  function SqliteLinkInsert(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    // Saved editor config
+    node.dbConfig = config.db ? RED.nodes.getNode(config.db) : null;
+    node.dbPathType = config.dbPathType || 'str';
+    node.dbPath = config.dbPath || '';
+    if (!node.dbConfig && node.dbPathType === 'str' && node.dbPath) knownDbFiles.add(connectionKey(node.dbPath));
+    node.txMode = config.txMode || 'perTable';
+    node.chunkSize = Number(config.chunkSize || 500);
+    node.continueOnError = !!config.continueOnError;
+    node.savepoints = config.savepoints || 'row';
+    node.multiRow = !!config.multiRow;
+
+    node.enableWAL = !!config.enableWAL;
+    node.syncMode = config.syncMode || '';
+    node.extraPragmas = config.extraPragmas || '';
+    node.busyTimeout = config.busyTimeout === undefined || config.busyTimeout === '' ? 5000 : Number(config.busyTimeout) || 0;
+    node.busyRetries = config.busyRetries === undefined || config.busyRetries === '' ? 3 : Number(config.busyRetries) || 0;
+    node.retryDelay = config.retryDelay === undefined || config.retryDelay === '' ? 100 : Number(config.retryDelay) || 0;
+
+    node.mirrorToPayload = !!config.mirrorToPayload;
+    node.groupOrder = config.groupOrder || 'auto';
+    node.rejectOutput = !!config.rejectOutput;
+    node.dryRunMode = !!config.dryRun;
+    node.buffered = !!config.buffered;
+    node.bufferRows = Number(config.bufferRows) || 0;
+    node.bufferBytes = Number(config.bufferBytes) || 0;
+    node.bufferMs = Number(config.bufferMs) || 0;
+    node.groups = Array.isArray(config.groups) ? config.groups : [];
+
+    // New config-file fields
+    node.useConfigFile = !!config.useConfigFile;
+    node.configPath = config.configPath || '';
+    node.lockToFile = !!config.lockToFile;
+    node.watchFile = !!config.watchFile;
+
+    node.profile = config.profile || '';
+    node.profileType = config.profileType || 'str';
+
+    // Config-file profiles: name -> { cfg (last valid config or null), errors }.
+    // A file holds one config (profile "default") or {profiles:{name:config},
+    // defaultProfile}; a configPath ending in "/" is a directory with one
+    // <name>.json per profile, loaded on first use. Each profile keeps its
+    // last valid config when a reload finds it invalid.
+    const profiles = new Map();
+    let defaultProfile = '';
+    let cfgInvalid = false; // last load of the file found it invalid
+    const unwatch = new Map(); // absPath -> stop function
+    const dirMode = () => node.configPath.endsWith('/');
+    const lockedCfg = () => (profiles.get(defaultProfile) || {}).cfg || null;
+
+    function profileFile(name) {
+      if (!PROFILE_NAME.test(name)) throw new Error(`invalid config profile name "${name}"`);
+      return resolveUnderUserDir(path.join(node.configPath, `${name}.json`));
+    }
+
+    // Stores a validated profile; an invalid one keeps its previous config
+    function setProfile(name, cfg, where) {
+      const v = validateConfig(cfg);
+      const prev = profiles.get(name);
+      if (!v.ok) {
+        node.warn(`config ${where} is invalid: ` + v.errors.map(e => (e.path ? e.path + ' ' : '') + e.message).join('; '));
+        profiles.set(name, { cfg: prev ? prev.cfg : null, errors: v.errors });
+        return false;
+      }
+      v.warnings.forEach(w => node.warn(`config ${where} ${w.path}: ${w.message}`));
+      profiles.set(name, { cfg, errors: [] });
+      return true;
+    }
+
+    async function loadLockedConfigIfNeeded() {
+      if (!node.useConfigFile || !node.lockToFile) { profiles.clear(); return; }
+      cfgInvalid = false;
+      if (dirMode()) {
+        defaultProfile = 'default';
+        for (const name of [...profiles.keys()]) await loadProfileFile(name);
+        if (!profiles.has(defaultProfile)) await loadProfileFile(defaultProfile);
+        const n = [...profiles.values()].filter(p => p.cfg).length;
+        node.status(n ? {fill:'blue',shape:'dot',text:`cfg dir: ${n} profile${n > 1 ? 's' : ''} loaded`} : {fill:'yellow',shape:'ring',text:'no default profile → node cfg'});
+        return;
+      }
+      ensureJsonExt(node.configPath);
+      const abs = resolveUnderUserDir(node.configPath);
+      let raw;
+      try { raw = await readJsonIfExists(abs); }
+      catch (e) { return keepLastGood([{ path:'', message: e.message }]); }
+      if (!raw) {
+        profiles.clear();
+        node.status({fill:'yellow',shape:'ring',text:'cfg missing → node cfg'});
+        return;
+      }
+      const { config, from } = migrateConfig(raw);
+      if (from !== CONFIG_VERSION) node.log(`config ${node.configPath} migrated from version ${from} to ${CONFIG_VERSION} (in memory)`);
+      if (!isObj(config.profiles)) {
+        defaultProfile = 'default';
+        for (const name of [...profiles.keys()]) if (name !== defaultProfile) profiles.delete(name);
+        if (!setProfile(defaultProfile, config, node.configPath)) return keepLastGood(null);
+        node.status({fill:'blue',shape:'dot',text:'cfg loaded'});
+        return;
+      }
+      const v = validateConfig(config);
+      const fileErrors = v.errors.filter(e => !e.path.startsWith('profiles.'));
+      if (fileErrors.length) return keepLastGood(fileErrors);
+      defaultProfile = config.defaultProfile || '';
+      for (const name of [...profiles.keys()]) if (!(name in config.profiles)) profiles.delete(name);
+      let bad = 0;
+      for (const [name, cfg] of Object.entries(config.profiles)) {
+        if (!setProfile(name, cfg, `${node.configPath} profile "${name}"`)) bad++;
+      }
+      const n = Object.keys(config.profiles).length;
+      node.status(bad
+        ? {fill:'red',shape:'ring',text:`cfg: ${bad} of ${n} profiles invalid`}
+        : {fill:'blue',shape:'dot',text:`cfg loaded: ${n} profile${n > 1 ? 's' : ''}`});
+      cfgInvalid = bad > 0;
+    }
+    // An invalid file never replaces a config that loaded fine before
+    function keepLastGood(errors) {
+      cfgInvalid = true;
+      if (errors) node.warn(`config ${node.configPath} is invalid: ` + errors.map(e => (e.path ? e.path + ' ' : '') + e.message).join('; '));
+      node.status({fill:'red',shape:'ring',text: lockedCfg() ? 'cfg invalid → last good' : 'cfg invalid → node cfg'});
+    }
+
+    // Directory mode: (re)loads <configPath>/<name>.json; a missing file drops the profile
+    async function loadProfileFile(name) {
+      const abs = profileFile(name);
+      let raw;
+      try { raw = await readJsonIfExists(abs); }
+      catch (e) {
+        node.warn(`config ${node.configPath}${name}.json is invalid: ${e.message}`);
+        const prev = profiles.get(name);
+        profiles.set(name, { cfg: prev ? prev.cfg : null, errors: [{ path:'', message: e.message }] });
+        return;
+      }
+      if (!raw) { profiles.delete(name); return; }
+      const { config } = migrateConfig(raw);
+      setProfile(name, config, `${node.configPath}${name}.json`);
+      watchIfNeeded(abs, () => loadProfileFile(name));
+    }
+
+    function watchIfNeeded(abs, reload) {
+      if (!node.useConfigFile || !node.watchFile || unwatch.has(abs)) return;
+      try {
+        unwatch.set(abs, watchJson(abs, async () => {
+          try { await reload(); reportGroupOrder(); node.trace('config reloaded'); }
+          catch (e) { node.warn('config reload failed: '+e.message); }
+        }));
+      } catch { /* ignore if file not there yet */ }
+    }
+    function startWatchingIfNeeded() {
+      if (!node.useConfigFile || !node.watchFile || dirMode()) return;
+      try {
+        ensureJsonExt(node.configPath);
+        watchIfNeeded(resolveUnderUserDir(node.configPath), loadLockedConfigIfNeeded);
+      } catch { /* invalid path, reported on load */ }
+    }
+    function stopWatching() {
+      unwatch.forEach(stop => stop());
+      unwatch.clear();
+    }
+
+    // Picks the profile for a message: msg.sqliteProfile, else the node's typed
+    // profile, else the file's default. Returns { name, cfg } where cfg null
+    // means the node's own settings; unknown or never-valid profiles throw, and so
+    // does msg.sqliteProfile on a node that does not run from its config file.
+    async function resolveProfile(msg) {
+      let name = typeof msg.sqliteProfile === 'string' && msg.sqliteProfile ? msg.sqliteProfile : '';
+      if (!node.useConfigFile || !node.lockToFile) {
+        if (name) throw profileError(`msg.sqliteProfile "${name}" needs a config file with Lock to file`);
+        return { name: null, cfg: null };
+      }
+      if (!name && node.profile) {
+        const v = await typedGet(RED, node, msg, node.profileType, node.profile, null);
+        if (v != null) name = String(v);
+      }
+      if (!name) {
+        const def = profiles.get(defaultProfile);
+        return def && def.cfg ? { name: defaultProfile, cfg: def.cfg } : { name: null, cfg: null };
+      }
+      if (dirMode() && !profiles.has(name)) {
+        if (!PROFILE_NAME.test(name)) throw profileError(`invalid config profile name "${name}"`);
+        await loadProfileFile(name);
+      }
+      const p = profiles.get(name);
+      if (!p) throw profileError(`unknown config profile "${name}"`);
+      if (!p.cfg) throw profileError(`config profile "${name}" is invalid: ${p.errors.map(e => (e.path ? e.path + ' ' : '') + e.message).join('; ')}`);
+      return { name, cfg: p.cfg };
+    }
+    function profileError(message) {
+      const e = new Error(message);
+      e.code = 'CONFIG_PROFILE';
+      return e;
+    }
+
+    // Deploy-time check of lookup dependencies between groups
+    function reportGroupOrder() {
+      if (cfgInvalid) return;
+      const cfg = lockedCfg() || node;
+      const groups = Array.isArray(cfg.groups) ? cfg.groups : [];
+      if ((cfg.groupOrder || 'auto') !== 'auto') return;
+      const { order, errors } = resolveGroupOrder(groups);
+      if (errors.length) {
+        errors.forEach(e => node.warn(e));
+        node.status({ fill:'red', shape:'ring', text: errors[0] });
+      } else if (order.length > 1) {
+        const text = 'order: ' + order.map(i => groups[i].alias || groups[i].table).join(' → ');
+        node.status({ fill: lockedCfg() ? 'blue' : 'grey', shape:'dot', text });
+      }
+    }
+
+    // Deploy-time check of validation patterns (a config file is checked by validateConfig)
+    function reportRuleErrors() {
+      if (lockedCfg()) return;
+      const errors = ruleRegexErrors(node.groups);
+      errors.forEach(e => node.warn(`${e.path}: ${e.message}`));
+      if (errors.length) node.status({ fill:'red', shape:'ring', text: `invalid regex: ${errors[0].path}` });
+    }
+
+    const cfgLoaded = loadLockedConfigIfNeeded().catch(e => node.warn(`config load failed: ${e.message}`)).finally(() => { reportGroupOrder(); reportRuleErrors(); startWatchingIfNeeded(); });
+    node.on('close', stopWatching);
+
+    // A write to `table` may change ids (REPLACE), so cached ids for it are dropped
+    function invalidateLookups(dbKey, table, dbLookups) {
+      const t = String(table).toLowerCase();
+      dropLookupCaches(dbKey, t);
+      for (const [sig, e] of dbLookups) if (e.table === t) dbLookups.delete(sig);
+    }
+
+    // Resolves a group's database lookups for all its rows, in batches, and returns
+    // the evaluated lookup values per row (Map mapping -> value) for mapRow.
+    // Dry runs read but never fill the shared cache (their rows are rolled back).
+    async function prefetchDbLookups(db, rowMsgs, g, rowsIn, parents, dbLookups, dbKey, dryRun) {
+      const values = rowsIn.map(() => new Map());
+      for (const m of (g.autoMap ? [] : g.mapping || [])) {
+        const lk = m.source === 'lookup' && m.lookup;
+        if (!lk || lk.from !== 'db' || !lk.table) continue;
+        const spec = dbLookupSpec(lk);
+        if (!spec.columns.length) { node.warn(`lookup "${m.col}" on table "${lk.table}" has no key columns`); continue; }
+        const sig = dbLookupSig(lk);
+        if (!dbLookups.has(sig)) dbLookups.set(sig, { table: String(lk.table).toLowerCase(), map: new Map() });
+        const resolved = dbLookups.get(sig).map;
+        const cache = lk.cache && !dryRun ? lookupCache(dbKey, lk) : null;
+        const missing = [];
+        for (let i = 0; i < rowsIn.length; i++) {
+          const val = await typedGet(RED, node, rowMsgs[i], lk.valueType || 'str', lk.value, rowsIn[i], parents[i]);
+          values[i].set(m, val);
+          const key = composeKeyWithSpec(spec, val, spec.separator);
+          if (resolved.has(key)) continue;
+          const hit = cache ? lruGet(cache.map, key) : undefined;
+          if (hit !== undefined) resolved.set(key, hit);
+          else missing.push(key);
+        }
+        const found = await selectIdsByKeys(db, { table: lk.table }, spec, uniq(missing));
+        for (const [k, id] of found) {
+          resolved.set(k, id);
+          if (cache) lruSet(cache.map, k, id, cache.max);
+        }
+      }
+      return values;
+    }
+
+    // Inserts a minimal parent row for a missed lookup key and returns {id, created}
+    // (id null when not found). created is false when the row was already there
+    // (e.g. written by another connection): INSERT OR IGNORE then changes nothing.
+    // target: {table, spec}; columns come from lookup.create.mapping evaluated
+    // against the child row, key columns from the lookup value.
+    async function createParent(db, msg, target, lk, provided, srcRow, parent) {
+      const row = {};
+      for (const m of (lk.create.mapping || [])) {
+        if (m.col) row[m.col] = await typedGet(RED, node, msg, m.srcType || 'str', m.src, srcRow, parent);
+      }
+      Object.assign(row, parentKeyRow(target.spec, provided));
+      const cols = Object.keys(row);
+      const sql = `INSERT OR IGNORE INTO ${qid(target.table)} (${cols.map(qid).join(', ')}) VALUES (${cols.map(_ => '?').join(', ')})`;
+      const res = await dbRun(db, sql, cols.map(c => row[c]));
+      const key = composeKeyWithSpec(target.spec, provided, target.spec.separator);
+      const ids = await selectIdsByKeys(db, target, target.spec, [key]);
+      return { id: ids.get(key) ?? null, created: res.changes > 0 };
+    }
+
+    // Runs every group against an open connection and returns the summary
+    // Counts transaction retries after SQLITE_BUSY for msg.sqlite.retries
+    const countRetry = (local) => (e, attempt) => {
+      local.retries++;
+      node.trace(`database busy (${e.code}), retry ${attempt}/${local.retry.retries}`);
+    };
+
+    async function runPipeline(db, msg, local, started, timings) {
+      timings.msOpen = Date.now() - started;
+      timings.msMap = timings.msWrite = timings.msKeys = 0; // a retried run starts over
+      const totals = { inserted: 0, updated: 0, unchanged: 0, ignored: 0, invalid: 0, errors: 0, skipped: 0, created: 0, deleted: 0 };
+      const byTable = {};
+      const tableStats = (t) => byTable[t] = (byTable[t] || { inserted: 0, updated: 0, unchanged: 0, ignored: 0, invalid: 0, errors: 0, skipped: 0, created: 0, deleted: 0, total: 0, violations: [], createdRows: [] });
+      const ddl = [];
+      const ctxMaps = {};
+      const keySpecs = {};
+      const preview = {}; // alias -> {table, sql, columns, sample} (dry-run only)
+      const lookupMisses = [];
+      const dbLookups = new Map();
+      const rejects = {}; // table -> rejected rows (second output)
+      // flow/global writes of a txMode 'all' run wait for its commit: a run retried after
+      // BUSY must not write them twice, nor a failed one at all
+      const published = [];
+      const publish = async (type, path, value) => {
+        if (local.txMode === 'all' && (type === 'flow' || type === 'global')) published.push([type, path, value]);
+        else await assignTypedPath(RED, node, msg, type, path, value);
+      };
+      const reject = (table, entry, err) => {
+        (rejects[table] = rejects[table] || []).push(Object.assign(entry, { error: { code: err.code || null, message: err.message } }));
+      };
+
+      // Get-or-create: inserts the parent of a missed lookup key and records it in
+      // the lookup's key map, and in the parent table's `created` stats if it was new.
+      // A new parent is audited with the audit settings of the group that created it.
+      const createParentFor = (childAlias, rowMsg, childGroup) => async (lk, provided, srcRow, parent) => {
+        let target;
+        if (lk.from === 'db') {
+          target = { table: lk.table, spec: dbLookupSpec(lk) };
+        } else {
+          const pg = local.groups.find(x => x && x.table && (x.alias || x.table) === lk.fromGroup);
+          const spec = keySpecs[lk.fromGroup];
+          if (!pg || !spec || spec.mode !== 'byColumns' || !spec.columns.length) {
+            node.warn(`cannot create parent in "${lk.fromGroup}": its group needs a byColumns KeySpec`);
+            return null;
+          }
+          target = { table: pg.table, spec };
+        }
+        // with an audit, the parent and its history row are written together
+        const audit = auditSpec(childGroup);
+        let id, created, audited = false;
+        if (audit) await dbRun(db, 'SAVEPOINT sli_parent');
         try {
-          if (local.enableWAL) await dbRun(db, 'PRAGMA journal_mode=WAL;');
-          if (local.syncMode) await dbRun(db, `PRAGMA synchronous=${local.syncMode};`);
-          if (local.extraPragmas && String(local.extraPragmas).trim()) {
-            for (const stmt of String(local.extraPragmas).split(';')) {
-              const s = stmt.trim();
-              if (s) await dbRun(db, `PRAGMA ${s};`);
-            }
+          ({ id, created } = await createParent(db, rowMsg, target, lk, provided, srcRow, parent));
+          if (audit && created) audited = await auditCreatedParent(audit, target, id, rowMsg);
+          if (audit) await dbRun(db, 'RELEASE sli_parent');
+        } catch (e) {
+          if (audit) await rollbackSavepoint(db, 'sli_parent', e);
+          throw e;
+        }
+        if (id == null) return null;
+        const key = composeKeyWithSpec(target.spec, provided, target.spec.separator);
+        if (lk.from === 'db') {
+          const entry = dbLookups.get(dbLookupSig(lk));
+          if (entry) entry.map.set(key, id);
+          if (lk.cache && !local.dryRun) {
+            const c = lookupCache(local.dbKey, lk);
+            lruSet(c.map, key, id, c.max);
           }
+        } else {
+          (ctxMaps[lk.fromGroup] = ctxMaps[lk.fromGroup] || { map: new Map() }).map.set(key, id);
+        }
+        if (created) {
+          const ps = tableStats(target.table);
+          ps.created++; totals.created++;
+          ps.createdRows.push({ key, id, by: childAlias });
+          if (audited) ps.audited = (ps.audited || 0) + 1;
+        }
+        return id;
+      };
+      // Writes the `insert` history row of a created parent; true if one was written
+      const auditCreatedParent = async (audit, target, id, rowMsg) => {
+        const sql = audit.createTable ? await ensureAuditTable(db, audit.table) : null;
+        if (sql) ddl.push({ table: audit.table, sql });
+        const idCol = target.spec.idColumn || 'id';
+        const after = (await dbAll(db, `SELECT * FROM ${qid(target.table)} WHERE ${qid(idCol)} = ?`, [id]))[0];
+        const entry = after && auditEntry(Object.assign(audit, { keys: target.spec.columns, idCol }), target.table, null, after, 'insert');
+        if (!entry) return false;
+        try {
+          await writeAudit(db, audit.table, [Object.assign(entry, { ts: new Date().toISOString(), msgid: rowMsg._msgid, nodeId: node.id })]);
         } catch (e) {
-          node.warn(`PRAGMA warning: ${e.message}`);
+          e.message = `audit table "${audit.table}": ${e.message}`;
+          e.failMessage = true;
+          throw e;
         }
+        return true;
+      };
 
-        if (local.txMode === 'all') await beginTx('all', db);
+      // Ids written per source row object (alias -> id), read back by child groups through $parent
+      const rowIds = new WeakMap();
+      const parentGroupFor = (g, m) => m.fromGroup
+        ? local.groups.find(x => x && x.table && (x.alias || x.table) === m.fromGroup)
+        : parentGroupOf(local.groups, g);
+      const parentIdOf = (g, m, parent) => {
+        if (!parent || typeof parent !== 'object') return null;
+        const pg = parentGroupFor(g, m);
+        const ids = pg && rowIds.get(parent);
+        return ids ? ids.get(pg.alias || pg.table) ?? null : null;
+      };
+      const idTargets = new Set(); // groups whose ids some parentId mapping reads
+      for (const x of local.groups) {
+        if (!x || !x.table || x.autoMap) continue;
+        for (const m of (x.mapping || [])) if (m.source === 'parentId') idTargets.add(parentGroupFor(x, m));
+      }
+
+      const order = local.groupOrder === 'auto'
+        ? resolveGroupOrder(local.groups).order
+        : local.groups.map((_, i) => i).filter(i => local.groups[i] && local.groups[i].table);
 
-        for (let gi = 0; gi < local.groups.length; gi++) {
+      if (local.txMode === 'all') await beginTx('all', db);
+      try {
+        for (const gi of order) {
           const g = local.groups[gi];
           if (!g || !g.table) continue;
 
@@ -416,137 +2281,789 @@ module.exports = function (RED) {
           g.upsertKeys = Array.isArray(g.upsertKeys) ? g.upsertKeys : [];
           g.updateColumns = Array.isArray(g.updateColumns) ? g.updateColumns : [];
 
-          const sourceArr = await typedGet(RED, node, msg, g.sourceType || 'msg', g.source, null);
-          const rowsIn = isArr(sourceArr) ? sourceArr : [];
-          const per = byTable[tableName] = (byTable[tableName] || { inserted: 0, updated: 0, errors: 0, skipped: 0, total: 0 });
-          per.total += rowsIn.length;
-
+          const per = tableStats(tableName);
           const ks = normKeySpec(g);
           if (ks && !ks.alias) ks.alias = alias;
           if (ks && !ks.idColumn) ks.idColumn = 'id';
           if (ks?.enabled) keySpecs[alias] = ks;
 
-          const mapped = [];
-          for (let i = 0; i < rowsIn.length; i++) {
+          const txMode = local.txMode === 'all' ? 'off' : (local.txMode || 'perTable');
+          // Savepoints keep a failure from spoiling the transaction when continueOnError
+          // carries on: 'row' rolls back only the failed row, 'chunk' its whole chunk
+          const rowSp = local.continueOnError && local.savepoints === 'row';
+          const chunkFails = local.continueOnError && local.savepoints === 'chunk';
+          const chunkSp = chunkFails && txMode === 'off';
+          // BUSY is retried per chunk transaction, or for the whole run with txMode 'all'
+          const retried = e => isBusy(e) && (txMode !== 'off' || local.txMode === 'all');
+
+          // Natural key of the group's rows: its byColumns KeySpec, else the UPSERT keys
+          const idSpec = ks?.enabled && ks.mode === 'byColumns' && ks.columns.length ? ks
+            : g.upsertKeys.length ? { mode: 'byColumns', columns: g.upsertKeys, separator: '|', idColumn: ks?.idColumn || 'id' } : null;
+          // within-batch dedupe key: the UPSERT keys, else the byColumns KeySpec
+          const dedupe = g.dedupe && g.dedupe !== 'none' ? g.dedupe : null;
+          const dedupeKeys = !dedupe ? null
+            : g.upsertKeys.length ? g.upsertKeys
+            : ks?.enabled && ks.mode === 'byColumns' && ks.columns.length ? ks.columns : null;
+          if (dedupe && !dedupeKeys) node.warn(`dedupe for "${alias}" needs UPSERT keys or a byColumns KeySpec — skipped`);
+          // A multi-row statement has no per-row result, so it is only used where each row's
+          // outcome can still be told: plain INSERTs whose ids nobody reads back, and UPSERTs
+          // whose RETURNING rows are matched to their input by key. Others go row by row.
+          const needsIds = idTargets.has(g) || (ks?.enabled && ks.mode !== 'byColumns') || (g.returnRows?.mode || 'none') !== 'none';
+          const multiKeys = !local.multiRow || auditSpec(g) ? null
+            : conflict === 'none' && !needsIds ? []
+            : conflict === 'upsert' && RETURNING_SUPPORTED && g.upsertKeys.length ? g.upsertKeys : null;
+          // sync only needs the key and scope columns of the rows
+          const syncCols = g.sync && g.sync.enabled && idSpec ? uniq(idSpec.columns.concat(syncScopeCols(g.sync))) : [];
+          const syncRows = [];
+
+          let audit = null;
+          const stampAudit = (e, m) => Object.assign(e, { ts: new Date().toISOString(), msgid: m._msgid, nodeId: node.id });
+          // a history row that cannot be written fails the message instead of leaving the change unrecorded
+          const flushAudit = async (entries) => {
             try {
-              const m = await mapRow(RED, node, msg, Object.assign({}, g, { _ctxMaps: ctxMaps, _keySpecs: keySpecs }), rowsIn[i]);
-              mapped.push(m);
+              await writeAudit(db, audit.table, entries);
             } catch (e) {
-              per.errors++; totals.errors++;
-              if (!local.continueOnError) throw e;
+              e.message = `audit table "${audit.table}": ${e.message}`;
+              e.failMessage = true;
+              throw e;
             }
-          }
-          if (!mapped.length) {
-            if (ks?.enabled && ks?.selectMissing) ctxMaps[alias] = { map: new Map() };
-            continue;
-          }
+          };
 
-          const cols = g.autoMap ? Object.keys(mapped[0]) : (g.mapping || []).map(m => m.col).filter(Boolean);
-          if (!cols.length) { node.warn(`Group "${alias}" has no columns`); continue; }
+          // A file source is read and written chunkSize rows at a time (a slice); any other
+          // source is one slice. A buffered run reads every message of the batch; rowMsgs[i]
+          // is the message of row i.
+          const file = g.sourceType === 'file' ? await openFileSource(RED, node, msg, g) : null;
+          const slices = file ? fileBatches(file.path, g.file || {}, Math.max(1, local.chunkSize)) : [null];
+          let sliceNo = 0;
+          let seen = 0; // source rows so far
+          let written = 0; // rows written without error
+          let parseErrors = 0;
+          let bytesRead = 0;
+          let keyMapBuilt = false;
+          let rrRows = null;
+          const fileProgress = (done) => {
+            const percent = file.size ? Math.min(100, Math.round(bytesRead / file.size * 100)) : 100;
+            node.status({ fill: 'blue', shape: 'ring', text: `${alias}: ${seen} rows (${percent}%)` });
+            // a retried run reads the file again: only progress beyond what was sent is reported
+            const sent = local.progressSent[alias] || { rows: -1, done: false };
+            if (sent.done || (!done && seen <= sent.rows)) return;
+            local.progressSent[alias] = { rows: seen, done };
+            if (local.progress && g.file?.progress) local.progress({ table: tableName, alias, file: file.name, rows: seen, bytes: bytesRead, size: file.size, percent, done });
+          };
 
-          const txMode = local.txMode === 'all' ? 'off' : (local.txMode || 'perTable');
-          const chunks = local.txMode === 'chunk' ? chunkify(mapped, Math.max(1, local.chunkSize)) : [mapped];
+          for await (const slice of slices) {
+            const rowsIn = [];
+            const parents = [];
+            const rowMsgs = [];
+            if (slice) {
+              for (const r of slice.rows) { rowsIn.push(r); parents.push(undefined); rowMsgs.push(msg); }
+            } else {
+              for (const src of local.batch || [msg]) {
+                const { rows, parents: ps } = await readSource(RED, node, src, g);
+                rows.forEach((r, k) => { rowsIn.push(r); parents.push(ps[k]); rowMsgs.push(src); });
+              }
+            }
+            if (slice && sliceNo) fileProgress(false);
+            sliceNo++;
+            const first = seen; // index of rowsIn[0] in the whole source
+            seen += rowsIn.length;
+            const rowEntry = (i, extra) => Object.assign({ alias, index: first + i, row: rowsIn[i] }, local.batch ? { msgid: rowMsgs[i]._msgid } : {}, extra);
+            per.total += rowsIn.length;
+            if (slice) {
+              bytesRead = slice.bytes;
+              per.total += slice.errors.length;
+              for (const x of slice.errors) {
+                const e = Object.assign(new Error(x.message), { code: 'PARSE' });
+                per.errors++; totals.errors++;
+                parseErrors++;
+                if (!local.continueOnError) throw e;
+                reject(tableName, { alias, index: null, line: x.line, row: x.text, mapped: null, stage: 'parse' }, e);
+              }
+            }
 
-          for (const ch of chunks) {
-            await beginTx(txMode, db);
-            try {
-              const sql = buildInsertSQL(g, cols);
-              const stmt = await dbPrepare(db, sql);
-              for (const r of ch) {
-                const params = cols.map(c => r[c] === undefined ? null : r[c]);
+            let t0 = Date.now();
+            const lookupVals = await prefetchDbLookups(db, rowMsgs, g, rowsIn, parents, dbLookups, local.dbKey, local.dryRun);
+
+            let mapped = [];
+            let srcIndex = []; // mapped row -> index in rowsIn
+            for (let i = 0; i < rowsIn.length; i++) {
+              try {
+                const violations = [];
+                const misses = [];
+                const m = await mapRow(RED, node, rowMsgs[i], Object.assign({}, g, { _ctxMaps: ctxMaps, _keySpecs: keySpecs, _dbLookups: dbLookups, _lookupVals: lookupVals[i], _misses: misses, _createParent: createParentFor(alias, rowMsgs[i], g), _parent: parents[i], _parentId: (m) => parentIdOf(g, m, parents[i]) }), rowsIn[i], violations);
+                for (const x of misses) lookupMisses.push(Object.assign({ alias, index: first + i }, x));
+                if (violations.length) {
+                  per.invalid++; totals.invalid++;
+                  for (const v of violations) per.violations.push({ index: first + i, column: v.column, rule: v.rule });
+                  if ((g.onInvalid || 'reject') === 'reject') {
+                    const list = violations.map(v => `${v.column}:${v.rule}`).join(', ');
+                    reject(tableName, rowEntry(i, { mapped: m, stage: 'validate' }), { code: 'VALIDATION', message: `invalid row (${list})` });
+                    continue;
+                  }
+                }
+                mapped.push(m);
+                srcIndex.push(i);
+              } catch (e) {
+                per.errors++; totals.errors++;
+                if (!local.continueOnError || e.failMessage) throw e;
+                reject(tableName, rowEntry(i, { mapped: null, stage: 'map' }), e);
+              }
+            }
+            // Rows repeating a key are folded into one before writing; dupes[k] = [index in
+            // rowsIn of a dropped row, index in mapped of the row that stands for it]
+            let dupes = [];
+            if (dedupeKeys && mapped.length > 1) {
+              const d = dedupeRows(mapped, dedupeKeys, g.dedupe);
+              if (d.dropped.length) {
+                const src = srcIndex;
+                mapped = d.kept.map(k => k.row);
+                srcIndex = d.kept.map(k => src[k.i]);
+                dupes = d.dropped.map(x => [src[x.i], x.into]);
+                per.deduped = (per.deduped || 0) + dupes.length;
+              }
+            }
+            timings.msMap += Date.now() - t0;
+            const rejectRow = (mi, stage, err) => {
+              reject(tableName, rowEntry(srcIndex[mi], { mapped: mapped[mi], stage }), err);
+            };
+            if (!mapped.length) {
+              if (ks?.enabled && ks?.selectMissing && !keyMapBuilt) ctxMaps[alias] = { map: new Map() };
+              continue;
+            }
+
+            let cols = g.autoMap ? Object.keys(mapped[0]) : (g.mapping || []).map(m => m.col).filter(Boolean);
+            // ensure mode: every field seen in the batch becomes a column
+            if (g.ensureTable && g.autoMap) cols = uniq(mapped.flatMap(r => Object.keys(r)));
+            if (!cols.length) { node.warn(`Group "${alias}" has no columns`); continue; }
+
+            if (g.ensureTable) {
+              for (const sql of await ensureTable(db, g, cols, mapped, ks)) ddl.push({ table: tableName, sql });
+            }
+
+            audit = auditSpec(g);
+            if (audit) {
+              const sql = audit.createTable ? await ensureAuditTable(db, audit.table) : null;
+              if (sql) ddl.push({ table: audit.table, sql });
+              audit.keys = await auditKeyColumns(db, g, cols);
+              audit.idCol = ks?.idColumn || g.returnRows?.idColumn || 'id';
+              per.audited = per.audited || 0;
+            }
+
+            t0 = Date.now();
+            const chunks = local.txMode === 'chunk' || chunkSp ? chunkify(mapped, Math.max(1, local.chunkSize)) : [mapped];
+
+            const returning = RETURNING_SUPPORTED;
+            // the preview shows the first statement that actually ran for the table
+            let previewPending = false;
+            if (local.dryRun && !preview[alias]) {
+              previewPending = true;
+              preview[alias] = {
+                table: tableName,
+                sql: buildInsertSQL(g, cols, { returning }),
+                rows: 1,
+                columns: cols,
+                sample: mapped.slice(0, DRY_RUN_SAMPLE).map(r => cols.map(c => r[c] === undefined ? null : r[c]))
+              };
+            }
+            const showSql = (sql, rows) => {
+              if (!previewPending) return;
+              previewPending = false;
+              Object.assign(preview[alias], { sql, rows });
+            };
+            const outcomes = new Array(mapped.length).fill(null); // {action, row} per mapped row
+            let offset = 0;
+            for (const ch of chunks) {
+              const base = offset;
+              offset += ch.length;
+              const chunkOut = new Array(ch.length).fill(null);
+              let auditRows = [];
+              const writeChunk = async () => {
+                chunkOut.fill(null);
+                auditRows = [];
+                let open = false;
                 try {
-                  const res = await new Promise((resolve, reject) => {
-                    stmt.run(params, function (err) { if (err) reject(err); else resolve(this); });
-                  });
-                  if (g.conflict === 'replace') { per.updated++; totals.updated++; }
-                  else if (g.conflict === 'upsert') { per.updated++; totals.updated++; }
-                  else { per.inserted++; totals.inserted++; }
+                  if (chunkSp) await dbRun(db, 'SAVEPOINT sli_chunk'); else await beginTx(txMode, db);
+                  open = true;
+                  const sql = buildInsertSQL(g, cols, { returning });
+                  const stmt = await dbPrepare(db, sql);
+                  try {
+                    const upsertKeys = g.conflict === 'upsert' || g.conflict === 'update' ? g.upsertKeys : [];
+                    const existing = upsertKeys.length ? await selectExistingKeys(db, g.table, upsertKeys, ch) : null;
+                    const guard = upsertKeys.length && g.upsertWhere ? buildGuardCheck(g) : null;
+                    const replaced = g.conflict === 'replace' ? await replaceProbe(db, g.table, cols, ch) : null;
+                    const writeRow = async (j) => {
+                      const r = ch[j];
+                      const params = cols.map(c => r[c] === undefined ? null : r[c]);
+                      let inSp = false;
+                      try {
+                        if (rowSp) { await dbRun(db, 'SAVEPOINT sli_row'); inSp = true; }
+                        const before = audit ? await auditRowOf(db, g.table, audit.keys, r) : null;
+                        showSql(sql, 1);
+                        const res = await stmtExec(stmt, params, returning);
+                        const k = existing ? conflictKeyOf(r, upsertKeys) : null;
+                        let action = rowOutcome(g, res, replaced ? replaced.existed(r) : k != null && existing.has(k));
+                        if (action === 'unchanged' && guard && !(await dbAll(db, guard.sql, guard.params(r))).length) action = 'skipped';
+                        if (audit && (res.changes || before)) {
+                          const after = res.changes ? await auditRowAfter(db, g.table, audit.keys, r, res) : before;
+                          const entry = auditEntry(audit, g.table, before, after);
+                          if (entry) auditRows.push(stampAudit(entry, rowMsgs[srcIndex[base + j]]));
+                        }
+                        if (inSp) await dbRun(db, 'RELEASE sli_row');
+                        chunkOut[j] = { action, row: res.row, lastID: res.lastID };
+                        if (k != null && res.changes) existing.add(k);
+                        if (replaced && res.changes) replaced.add(r);
+                      } catch (e) {
+                        if (inSp) await rollbackSavepoint(db, 'sli_row', e);
+                        chunkOut[j] = { action: 'error', row: null, error: e };
+                        if (!local.continueOnError || chunkFails || retried(e)) throw e;
+                      }
+                    };
+                    // Rows [from, to) in one statement. UPSERT outcomes come from the rows
+                    // RETURNING reports (changed) and the keys stored before (inserted/updated).
+                    const writeRows = async (from, to) => {
+                      const rows = ch.slice(from, to);
+                      const params = rows.flatMap(r => cols.map(c => r[c] === undefined ? null : r[c]));
+                      if (!multiKeys.length) {
+                        const sql = buildInsertSQL(g, cols, { rows: rows.length });
+                        showSql(sql, rows.length);
+                        await dbRun(db, sql, params);
+                        for (let j = from; j < to; j++) chunkOut[j] = { action: 'inserted', row: null };
+                        return;
+                      }
+                      const sql = buildInsertSQL(g, cols, { rows: rows.length, returning: true });
+                      showSql(sql, rows.length);
+                      const back = await dbAll(db, sql, params);
+                      const byKey = new Map(back.map(x => [returnedKeyOf(x, multiKeys), x]));
+                      for (let j = from; j < to; j++) {
+                        const r = ch[j];
+                        const k = conflictKeyOf(r, upsertKeys);
+                        const row = byKey.get(returnedKeyOf(r, multiKeys)) || null;
+                        let action = rowOutcome(g, { changes: row ? 1 : 0 }, existing.has(k));
+                        if (action === 'unchanged' && guard && !(await dbAll(db, guard.sql, guard.params(r))).length) action = 'skipped';
+                        chunkOut[j] = { action, row };
+                        if (row) existing.add(k);
+                      }
+                    };
+                    // matching needs a distinct, non-null key per row
+                    const matchable = () => {
+                      const keys = new Set();
+                      return ch.every(r => {
+                        const k = returnedKeyOf(r, multiKeys);
+                        return k != null && !keys.has(k) && keys.add(k);
+                      });
+                    };
+                    if (multiKeys && ch.length > 1 && (!multiKeys.length || matchable())) {
+                      const step = Math.max(1, Math.floor(MAX_VARIABLES / cols.length));
+                      for (let from = 0; from < ch.length; from += step) {
+                        const to = Math.min(ch.length, from + step);
+                        let inSp = false;
+                        try {
+                          if (local.continueOnError) { await dbRun(db, 'SAVEPOINT sli_rows'); inSp = true; }
+                          await writeRows(from, to);
+                          if (inSp) await dbRun(db, 'RELEASE sli_rows');
+                        } catch (e) {
+                          if (inSp) await rollbackSavepoint(db, 'sli_rows', e);
+                          if (!local.continueOnError || chunkFails || retried(e)) throw e;
+                          // one bad row fails the whole statement: retry row by row to find it
+                          for (let j = from; j < to; j++) await writeRow(j);
+                        }
+                      }
+                    } else {
+                      for (let j = 0; j < ch.length; j++) await writeRow(j);
+                    }
+                    if (audit) await flushAudit(auditRows);
+                  } finally {
+                    await dbFinalize(stmt);
+                  }
+                  if (chunkSp) await dbRun(db, 'RELEASE sli_chunk'); else await commitTx(txMode, db);
                 } catch (e) {
+                  if (open && chunkSp) await rollbackSavepoint(db, 'sli_chunk', e);
+                  else if (open) await rollbackTx(txMode, db);
+                  if (!local.continueOnError || e.failMessage || retried(e)) throw e;
+                  // Rows of a rolled-back chunk were not written
+                  const undone = txMode !== 'off' || chunkSp;
+                  for (let j = 0; j < ch.length; j++) {
+                    const o = chunkOut[j];
+                    if (o && (o.action === 'error' || !undone)) continue;
+                    chunkOut[j] = { action: 'error', row: null, error: e };
+                  }
+                  if (undone) auditRows = [];
+                }
+              };
+              if (txMode !== 'off') await withBusyRetry(writeChunk, local.retry, countRetry(local));
+              else await writeChunk();
+              for (let j = 0; j < ch.length; j++) {
+                const o = chunkOut[j];
+                outcomes[base + j] = o;
+                if (!o) continue;
+                if (o.action === 'error') {
                   per.errors++; totals.errors++;
-                  if (!local.continueOnError) throw e;
+                  rejectRow(base + j, 'write', o.error);
+                  continue;
                 }
+                per[o.action]++; totals[o.action]++;
               }
-              await dbFinalize(stmt);
-              await commitTx(txMode, db);
-            } catch (e) {
-              await rollbackTx(txMode, db);
-              if (!local.continueOnError) throw e;
+              if (audit) per.audited += auditRows.length;
             }
-          }
+            timings.msWrite += Date.now() - t0;
+            written += outcomes.filter(o => o && o.action !== 'error').length;
+            written += dupes.filter(([, p]) => outcomes[p] && outcomes[p].action !== 'error').length;
+            if (outcomes.some(o => o && (o.action === 'inserted' || o.action === 'updated'))) {
+              invalidateLookups(local.dbKey, tableName, dbLookups);
+            }
+
+            // Ids of the written rows per id column, looked up once when needed
+            const idsCache = new Map();
+            const idsOf = async (idCol) => {
+              if (!idsCache.has(idCol)) idsCache.set(idCol, await writtenIds(db, g, mapped, outcomes, idCol));
+              return idsCache.get(idCol);
+            };
 
-          if (ks && ks.enabled) {
-            const keys = [];
-            if (ks.mode === 'byColumns' && ks.columns && ks.columns.length) {
-              for (const r of mapped) keys.push(keyOfMappedRow(r, ks));
-            } else if (ks.mode === 'byTemplate' && ks.template) {
-              for (const r of mapped) keys.push(keyOfMappedRow(r, ks));
+            t0 = Date.now();
+            if (ks && ks.enabled) {
+              let map = new Map();
+              if (ks.mode === 'byColumns' && ks.columns?.length) {
+                map = await selectIdsByKeys(db, g, ks, mapped.map(r => keyOfMappedRow(r, ks)));
+              } else if ((ks.mode === 'byTemplate' && ks.template) || (ks.mode === 'byJsonata' && ks.jsonata)) {
+                // no SQL expression for these keys: each row's key maps to the id it was written with
+                const ids = await idsOf(ks.idColumn);
+                for (let i = 0; i < mapped.length; i++) {
+                  if (ids[i] == null) continue;
+                  const key = await keyOfRow(RED, node, rowMsgs[srcIndex[i]], mapped[i], ks);
+                  if (key !== '') map.set(key, ids[i]);
+                }
+              } else {
+                node.warn(`KeySpec for "${alias}" has no ${ks.mode === 'byColumns' ? 'columns' : ks.mode === 'byTemplate' ? 'template' : ks.mode === 'byJsonata' ? 'JSONata expression' : `known mode ("${ks.mode}")`} — no key map built`);
+              }
+              if (keyMapBuilt) for (const [k, id] of map) ctxMaps[alias].map.set(k, id);
+              else ctxMaps[alias] = { map };
+              keyMapBuilt = true;
             }
-            let map = new Map();
-            if (ks.mode === 'byColumns' && ks.columns?.length) {
-              map = await selectIdsByKeys(db, g, ks, keys);
-            } else {
-              node.warn(`KeySpec for "${alias}" is not byColumns — skipping SELECT map build`);
+
+            if (g.sync && g.sync.enabled) {
+              for (const r of mapped) syncRows.push(Object.fromEntries(syncCols.map(c => [c, r[c]])));
             }
-            ctxMaps[alias] = { map };
-            if (ks.returnPath) {
-              const obj = Object.fromEntries(map);
-              await assignTypedPath(RED, node, msg, ks.returnPathType || 'flow', ks.returnPath, obj);
+
+            // Remember written ids per source object for child groups: from RETURNING, else
+            // re-selected by KeySpec or UPSERT keys (rows that were ignored or unchanged)
+            if (idTargets.has(g)) {
+              const remember = (i, id) => {
+                const src = rowsIn[srcIndex[i]];
+                if (!rowIds.has(src)) rowIds.set(src, new Map());
+                rowIds.get(src).set(alias, id);
+              };
+              const pending = [];
+              for (let i = 0; i < mapped.length; i++) {
+                const src = rowsIn[srcIndex[i]];
+                if (!src || typeof src !== 'object') continue;
+                const o = outcomes[i];
+                const id = o && o.row ? o.row[idSpec?.idColumn || ks?.idColumn || 'id'] : undefined;
+                if (id == null) pending.push(i); else remember(i, id);
+              }
+              if (pending.length && idSpec) {
+                const map = idSpec === ks && ctxMaps[alias]
+                  ? ctxMaps[alias].map
+                  : await selectIdsByKeys(db, g, idSpec, pending.map(i => keyOfMappedRow(mapped[i], idSpec)));
+                for (const i of pending) {
+                  const id = map.get(keyOfMappedRow(mapped[i], idSpec));
+                  if (id != null) remember(i, id);
+                }
+              } else if (pending.length) {
+                const ids = await idsOf(ks?.idColumn || 'id');
+                for (const i of pending) if (ids[i] != null) remember(i, ids[i]);
+              }
+              // a dropped duplicate shares the id of the row kept for it
+              for (const [si, p] of dupes) {
+                const id = rowIds.get(rowsIn[srcIndex[p]])?.get(alias);
+                const src = rowsIn[si];
+                if (id == null || !src || typeof src !== 'object') continue;
+                if (!rowIds.has(src)) rowIds.set(src, new Map());
+                rowIds.get(src).set(alias, id);
+              }
             }
-          }
 
-          const rr = g.returnRows || { mode: 'none' };
-          if (rr.mode && rr.mode !== 'none') {
-            const ks2 = keySpecs[alias];
-            if (ks2 && ks2.mode === 'byColumns' && ks2.columns?.length) {
-              const keys = [];
-              for (const r of mapped) keys.push(keyOfMappedRow(r, ks2));
-              const map = await selectIdsByKeys(db, g, ks2, keys);
-              const outRows = [];
+            const rr = g.returnRows || { mode: 'none' };
+            if (rr.mode && rr.mode !== 'none') {
+              const ks2 = keySpecs[alias];
+              const byKey = !!(ks2 && ks2.mode === 'byColumns' && ks2.columns?.length);
+              const idCol = rr.idColumn || ks2?.idColumn || 'id';
+              const map = byKey ? await selectIdsByKeys(db, g, ks2, mapped.map(r => keyOfMappedRow(r, ks2))) : null;
+              const ids = byKey ? null : await idsOf(idCol);
+              const entries = [];
               for (let i = 0; i < mapped.length; i++) {
-                const k = keyOfMappedRow(mapped[i], ks2);
-                const id = map.get(k);
-                outRows.push({ action: 'affected', id, data: mapped[i] });
+                const o = outcomes[i] || { action: 'error', row: null };
+                let id = o.row ? o.row[idCol] : undefined;
+                if (id === undefined) id = byKey ? map.get(keyOfMappedRow(mapped[i], ks2)) : ids[i];
+                entries[i] = { at: srcIndex[i], entry: { action: o.action, id, data: mapped[i] } };
+              }
+              // a dropped duplicate gets the id and values of the row written for it,
+              // so the returned rows stay in input order
+              for (const [si, p] of dupes) {
+                entries.push({ at: si, entry: { action: 'deduped', id: entries[p].entry.id, data: mapped[p] } });
               }
-              const pathType = rr.pathType || 'msg';
-              const path = rr.path || `sqlite.${alias}.rows`;
-              await assignTypedPath(RED, node, msg, pathType, path, outRows);
+              entries.sort((a, b) => a.at - b.at);
+              rrRows = rrRows || [];
+              for (const e of entries) rrRows.push(e.entry);
+            }
+            timings.msKeys += Date.now() - t0;
+          }
+          if (file) fileProgress(true);
+
+          if (keyMapBuilt && ks.returnPath && !(local.dryRun && (ks.returnPathType || 'flow') !== 'msg')) {
+            const obj = Object.fromEntries(ctxMaps[alias].map);
+            await publish(ks.returnPathType || 'flow', ks.returnPath, obj);
+          }
+
+          if (g.sync && g.sync.enabled && syncRows.length) {
+            const failed = seen + parseErrors - written;
+            if (!idSpec) {
+              node.warn(`sync for "${alias}" needs a byColumns KeySpec or UPSERT keys — skipped`);
+            } else if (failed) {
+              node.warn(`sync for "${alias}" skipped: ${failed} rows were not written`);
+              per.sync = { mode: g.sync.mode || 'delete', skipped: true };
             } else {
-              node.warn(`returnRows requires a byColumns KeySpec for group "${alias}" — skipped`);
+              const auditSync = audit && Object.assign({}, audit, { entries: [] });
+              const runSync = async () => {
+                await beginTx(txMode, db);
+                try {
+                  if (auditSync) auditSync.entries = [];
+                  const out = await syncTable(db, g, idSpec, syncRows, auditSync);
+                  if (audit) await flushAudit(auditSync.entries.map(e => stampAudit(e, msg)));
+                  await commitTx(txMode, db);
+                  return out;
+                } catch (e) {
+                  await rollbackTx(txMode, db);
+                  throw e;
+                }
+              };
+              const res = txMode !== 'off' ? await withBusyRetry(runSync, local.retry, countRetry(local)) : await runSync();
+              if (audit) per.audited += auditSync.entries.length;
+              per.deleted += res.deleted; totals.deleted += res.deleted;
+              per.sync = Object.assign({ mode: g.sync.mode || 'delete' }, res);
+              if (res.deleted || res.restored) invalidateLookups(local.dbKey, tableName, dbLookups);
             }
           }
+
+          const rr = g.returnRows || { mode: 'none' };
+          if (rrRows) {
+            const pathType = rr.pathType || 'msg';
+            const path = rr.path || `sqlite.${alias}.rows`;
+            // a dry run must not leave anything in flow/global context
+            if (!local.dryRun || pathType === 'msg') await publish(pathType, path, rrRows);
+          }
         }
-        const _end = Date.now();
-        timings.msExec = _end - started - timings.msOpen;
-        timings.msTotal = _end - started;
-        db.close();
-
-        const summary = {
-          ok: totals.errors === 0,
-          counts: totals,
-          tables: byTable,
-          timings
-        };
-        msg.sqlite = summary;
-        if (local.mirrorToPayload) msg.payload = summary;
+        if (local.dryRun) await rollbackTx('all', db);
+        else if (local.txMode === 'all') await commitTx('all', db);
+      } catch (e) {
+        if (local.txMode === 'all') {
+          await rollbackTx('all', db);
+          // ids cached during this transaction may belong to rolled-back rows
+          dropLookupCaches(local.dbKey);
+        }
+        throw e;
+      }
+      for (const [type, path, value] of published) await assignTypedPath(RED, node, msg, type, path, value);
+      const _end = Date.now();
+      timings.msExec = _end - started - timings.msOpen;
+      timings.msTotal = _end - started;
+
+      const summary = {
+        ok: totals.errors === 0,
+        counts: totals,
+        tables: byTable,
+        order: order.map(i => local.groups[i].alias || local.groups[i].table),
+        ddl,
+        timings
+      };
+      if (local.dryRun) Object.assign(summary, { dryRun: true, preview, lookupMisses, rejected: rejects });
+      return { summary, rejects };
+    }
+
+    // Resolves the effective config and connection, then runs the pipeline.
+    // opts.dryRun executes everything in one transaction that is rolled back;
+    // opts.batch (buffered messages) is written in one transaction;
+    // opts.profile is an already resolved config profile;
+    // opts.progress(p) receives the progress of file sources.
+    async function execute(msg, opts = {}) {
+      const started = Date.now();
+      const timings = { msOpen: 0, msMap: 0, msWrite: 0, msKeys: 0, msExec: 0, msTotal: 0 };
+
+      // Choose effective runtime config
+      const profile = opts.profile || await resolveProfile(msg);
+      const runCfg = profile.cfg || {
+        txMode: node.txMode,
+        chunkSize: node.chunkSize,
+        continueOnError: node.continueOnError,
+        savepoints: node.savepoints,
+        multiRow: node.multiRow,
+        enableWAL: node.enableWAL,
+        syncMode: node.syncMode,
+        extraPragmas: node.extraPragmas,
+        busyTimeout: node.busyTimeout,
+        busyRetries: node.busyRetries,
+        retryDelay: node.retryDelay,
+        mirrorToPayload: node.mirrorToPayload,
+        groupOrder: node.groupOrder,
+        groups: node.groups
+      };
 
-        node.status({ fill: summary.ok ? 'green' : 'red', shape: 'dot', text: `E:${totals.errors} U:${totals.updated} I:${totals.inserted}` });
-        send(msg); done();
+      // Copy originals to local vars used below (so original logic stays intact)
+      const local = {
+        txMode: runCfg.txMode || 'perTable',
+        chunkSize: Number(runCfg.chunkSize || 500),
+        continueOnError: !!runCfg.continueOnError,
+        savepoints: runCfg.savepoints || 'row',
+        multiRow: !!runCfg.multiRow,
+        enableWAL: !!runCfg.enableWAL,
+        syncMode: runCfg.syncMode || '',
+        extraPragmas: runCfg.extraPragmas || '',
+        busyTimeout: runCfg.busyTimeout ?? 5000,
+        retry: { retries: Number(runCfg.busyRetries ?? 3) || 0, delay: Number(runCfg.retryDelay ?? 100) || 0 },
+        retries: 0,
+        mirrorToPayload: !!runCfg.mirrorToPayload,
+        groupOrder: runCfg.groupOrder || 'auto',
+        groups: Array.isArray(runCfg.groups) ? runCfg.groups : [],
+        dryRun: !!opts.dryRun,
+        batch: opts.batch || null,
+        progress: opts.progress || null,
+        progressSent: {} // alias -> {rows, done} reported so far, across retries
+      };
+      if (local.dryRun || local.batch) local.txMode = 'all';
+      // audit entries must commit or roll back with the rows they describe
+      if (local.txMode === 'off' && local.groups.some(g => g && auditSpec(g))) throw new Error('audit needs a transaction: txMode "off" is not supported');
+
+      // Prefer the shared connection; fall back to the typed DB path
+      let conn = null;
+      let runOnDb;
+      if (node.dbConfig) {
+        runOnDb = node.dbConfig.enqueue;
+        local.dbKey = connectionKey(node.dbConfig.dbPath || '');
+      } else {
+        const dbPath = await typedGet(RED, node, msg, node.dbPathType, node.dbPath, null);
+        if (!dbPath || typeof dbPath !== 'string') throw new Error('Invalid database path');
+        conn = acquireConnection(dbPath, local, (m) => node.warn(m));
+        local.dbKey = conn.key;
+        runOnDb = (fn) => enqueue(conn, fn);
+      }
+      // The connection is shared, so the busy timeout is set for every run: the
+      // sqlite-link-db node's on its connection, else this node's (or profile's)
+      const busyTimeout = node.dbConfig ? node.dbConfig.busyTimeout : Number(local.busyTimeout) || 0;
+      const pipeline = (db) => { db.configure('busyTimeout', busyTimeout); return runPipeline(db, msg, local, started, timings); };
+      // one transaction for the whole run: it can be retried as a whole when the database is busy
+      const run = local.txMode === 'all'
+        ? (db) => withBusyRetry(() => pipeline(db), local.retry, countRetry(local))
+        : pipeline;
+      try {
+        const result = await runOnDb(run);
+        result.summary.profile = profile.name;
+        if (local.retries) result.summary.retries = local.retries;
+        result.local = local;
+        return result;
+      } finally {
+        if (conn) await releaseConnection(conn);
+      }
+    }
+
+    // Used by the dry-run admin endpoint (runs against the deployed config)
+    node.dryRun = async (msg) => (await execute(msg, { dryRun: true })).summary;
+
+    // Sets status and sends the result (plus rejected rows on the second output)
+    function emit(send, msg, { summary, rejects, local }, dryRun) {
+      const totals = summary.counts;
+      msg.sqlite = summary;
+      if (local.mirrorToPayload) msg.payload = summary;
+
+      node.status({ fill: summary.ok ? (dryRun ? 'yellow' : 'green') : 'red', shape: dryRun ? 'ring' : 'dot',
+        text: `${dryRun ? 'dry-run ' : ''}E:${totals.errors} U:${totals.updated} I:${totals.inserted}` });
+      if (node.rejectOutput) {
+        const rejectMsg = Object.keys(rejects).length && !dryRun
+          ? { _msgid: msg._msgid, topic: msg.topic, payload: rejects, sqlite: summary }
+          : null;
+        send([msg, rejectMsg]);
+      } else {
+        send(msg);
+      }
+    }
+
+    // -------------------------------------------------------------------
+    // Cross-message buffering: messages are kept (cloned) until a row, byte
+    // or time limit is hit, msg.flush arrives or the node closes, then all
+    // their rows are written in one transaction. A buffer that cannot be
+    // flushed on close is spilled to userDir and restored on the next start.
+    // -------------------------------------------------------------------
+    let buffer = []; // [{ msg, rows, bytes }]
+    let bufferRows = 0;
+    let bufferBytes = 0;
+    let bufferTimer = null;
+    let bufferProfile = null; // resolved profile of the buffered messages
+    const spillFile = () => resolveUnderUserDir(path.join('sqlite-link-insert', `${node.id}.buffer.json`));
+
+    // `done(err, sqlite)` completes the message once its batch is flushed
+    async function bufferMessage(msg, profile, done) {
+      const groups = (profile.cfg || node).groups || [];
+      let rows = 0;
+      let bytes = 0;
+      for (const g of groups) {
+        if (!g || !g.table) continue;
+        const src = await readSource(RED, node, msg, g);
+        rows += src.rows.length;
+        bytes += Buffer.byteLength(JSON.stringify(src.rows) || '');
+      }
+      // a message without rows joins the batch too: it is answered by the flush like the others
+      bufferProfile = profile;
+      buffer.push({ msg: RED.util.cloneMessage(msg), rows, bytes, done }); // `done` is not spilled
+      bufferRows += rows;
+      bufferBytes += bytes;
+      if (!bufferTimer && node.bufferMs > 0) bufferTimer = setTimeout(() => flushBuffer('time', node.send.bind(node)), node.bufferMs);
+      node.status({ fill: 'blue', shape: 'ring', text: `buffered ${bufferRows} rows / ${buffer.length} msgs` });
+    }
+
+    function bufferFull() {
+      if (node.bufferRows > 0 && bufferRows >= node.bufferRows) return 'rows';
+      if (node.bufferBytes > 0 && bufferBytes >= node.bufferBytes) return 'bytes';
+      return null;
+    }
+
+    // Writes every buffered message in one transaction; the output is the last
+    // buffered message with the combined summary and the ids of all messages.
+    // Every buffered message completes with the flush: on failure (the batch is
+    // rolled back) each one is reported with its own error, messages restored
+    // from a spill through node.error. On close the batch is spilled instead so
+    // a redeploy does not lose it.
+    async function flushBuffer(reason, send) {
+      if (bufferTimer) { clearTimeout(bufferTimer); bufferTimer = null; }
+      const entries = buffer;
+      const profile = bufferProfile;
+      if (!entries.length) return;
+      buffer = [];
+      bufferRows = bufferBytes = 0;
+      bufferProfile = null;
+      const out = entries[entries.length - 1].msg;
+      const batch = { reason, messages: entries.length, rows: entries.reduce((n, e) => n + e.rows, 0), msgids: entries.map(e => e.msg._msgid) };
+      try {
+        const result = await execute(out, { batch: entries.map(e => e.msg), profile });
+        result.summary.batch = batch;
+        emit(send, out, result, false);
+        for (const e of entries) if (e.done) e.done();
+      } catch (err) {
+        node.status({ fill: 'red', shape: 'ring', text: err.message });
+        if (reason === 'close') {
+          await writeJson(spillFile(), entries).catch(e => node.error(`buffer spill failed: ${e.message}`));
+          node.warn(`flush on close failed (${err.message}); ${entries.length} buffered messages kept for the next start`);
+          for (const e of entries) if (e.done) e.done();
+          return;
+        }
+        for (const e of entries) {
+          const sqlite = { ok: false, error: err.message, batch };
+          if (e.done) { e.done(err, sqlite); continue; }
+          e.msg.sqlite = sqlite;
+          node.error(err, e.msg);
+        }
+      }
+    }
+
+    async function restoreSpill() {
+      if (!node.buffered) return;
+      const file = spillFile();
+      const saved = await readJsonIfExists(file);
+      if (!Array.isArray(saved) || !saved.length) return;
+      await fsp.unlink(file).catch(() => {});
+      for (const e of saved) {
+        buffer.push(e);
+        bufferRows += e.rows;
+        bufferBytes += e.bytes;
+      }
+      node.log(`restored ${saved.length} buffered messages`);
+      await cfgLoaded;
+      bufferProfile = await resolveProfile(saved[saved.length - 1].msg).catch(() => null);
+      setImmediate(() => flushBuffer('restore', node.send.bind(node)));
+    }
+
+    node.on('close', (_removed, done) => { flushBuffer('close', node.send.bind(node)).finally(done); });
+
+    // --- INPUT (original pipeline; we only resolve effective config here) ---
+    node.on('input', async (msg, send, done) => {
+      try {
+        const override = isObj(msg.sqlite) && typeof msg.sqlite.dryRun === 'boolean' ? msg.sqlite.dryRun : null;
+        const dryRun = override == null ? node.dryRunMode : override;
+
+        const profile = await resolveProfile(msg);
+        // file sources stream on their own and are never buffered
+        if (node.buffered && !dryRun && !usesFileSource((profile.cfg || node).groups)) {
+          // one batch never mixes profiles
+          if (buffer.length && bufferProfile && bufferProfile.name !== profile.name) await flushBuffer('profile', send);
+          await bufferMessage(msg, profile, (err, sqlite) => {
+            if (sqlite) msg.sqlite = sqlite;
+            done(err);
+          });
+          const reason = msg.flush ? 'flush' : bufferFull();
+          if (reason) await flushBuffer(reason, send);
+          return;
+        }
+
+        // a dry run reports no progress: nothing it reads is kept
+        const progress = dryRun ? null : (p) => {
+          const m = { _msgid: msg._msgid, topic: msg.topic, progress: p };
+          send(node.rejectOutput ? [m, null] : m);
+        };
+        emit(send, msg, await execute(msg, { dryRun, profile, progress }), dryRun);
+        done();
       } catch (err) {
         node.status({ fill: 'red', shape: 'ring', text: err.message });
         done(err);
       }
     });
+
+    restoreSpill().catch(e => node.warn(`restoring buffered messages failed: ${e.message}`));
   }
 
+  // Ids for composed byColumns keys. Keys are split back into their column values and
+  // matched with (c1, c2) IN (VALUES ...), so an index on the key columns is used. Keys
+  // with an empty part (NULL or '' in the composed form) or a separator inside a value
+  // are matched on the composed expression instead. Returned rows are matched to keys
+  // exactly first, then as returnedKeyOf does (affinity may store '007' as 7).
   async function selectIdsByKeys(db, group, spec, keys, chunkSize = 500) {
     const out = new Map();
     if (!keys.length) return out;
     if (spec.mode !== 'byColumns' || !spec.columns || !spec.columns.length) return out;
+    const cols = spec.columns;
+    const sep = spec.separator || '|';
     const idCol = qid(spec.idColumn || 'id');
-    const expr = buildKeyConcatExpr(spec);
     const table = qid(group.table);
-    const chunks = chunkify(uniq(keys), chunkSize);
-    for (const ch of chunks) {
+    const byCols = [];
+    const byExpr = [];
+    for (const k of uniq(keys.map(String))) {
+      const parts = cols.length > 1 ? k.split(sep) : [k];
+      if (parts.length === cols.length && parts.every(p => p !== '')) byCols.push({ k, parts });
+      else byExpr.push(k);
+    }
+
+    const tuple = `(${cols.map(_ => '?').join(', ')})`;
+    const lhs = cols.length > 1 ? `(${cols.map(qid).join(', ')})` : qid(cols[0]);
+    const picks = cols.map((c, i) => `${qid(c)} AS _k${i}`).join(', ');
+    const loosely = vals => returnedKeyOf(vals, cols.map((_, i) => i));
+    for (const ch of chunkify(byCols, Math.max(1, Math.floor(900 / cols.length)))) {
+      const exact = new Set(ch.map(x => x.k));
+      const loose = new Map();
+      for (const { k, parts } of ch) {
+        const n = loosely(parts);
+        if (n != null) (loose.get(n) || loose.set(n, []).get(n)).push(k);
+      }
+      const sql = `SELECT ${idCol} AS _id, ${picks} FROM ${table} WHERE ${lhs} IN (VALUES ${ch.map(_ => tuple).join(', ')})`;
+      const rest = [];
+      for (const r of await dbAll(db, sql, ch.flatMap(x => x.parts))) {
+        const vals = cols.map((_, i) => r[`_k${i}`]);
+        const k = vals.map(String).join(sep);
+        if (exact.has(k)) out.set(k, r._id);
+        else rest.push({ vals, id: r._id });
+      }
+      for (const { vals, id } of rest) {
+        for (const k of loose.get(loosely(vals)) || []) if (!out.has(k)) out.set(k, id);
+      }
+    }
+
+    const expr = buildKeyConcatExpr(spec);
+    for (const ch of chunkify(byExpr, chunkSize)) {
       const placeholders = ch.map(_ => '?').join(', ');
       const sql = `SELECT ${idCol} AS id, (${expr}) AS _k FROM ${table} WHERE (${expr}) IN (${placeholders})`;
       const rows = await dbAll(db, sql, ch);
@@ -563,5 +3080,13 @@ module.exports = function (RED) {
     else RED.util.setMessageProperty(msg, path, value, true);
   }
 
+  RED.nodes.registerType('sqlite-link-db', SqliteLinkDb);
   RED.nodes.registerType('sqlite-link-insert', SqliteLinkInsert);
 };
+
+// Registers a value transform from other code in the Node-RED process, e.g.
+// require('node-red-contrib-sqlite-link-insert/sqlite-link-insert.js').registerTransform(...)
+module.exports.registerTransform = (name, fn, opts) => {
+  if (registerLoaded) registerLoaded(name, fn, opts);
+  else pendingTransforms.push([name, fn, opts]);
+};